@@ -0,0 +1,66 @@
+// encryption.js - Encryption of sensitive fields at rest
+//
+// encrypt(text) returns "v1:<iv>:<tag>:<ciphertext>" (base64 parts) using
+// AES-256-GCM. The key comes from DATA_ENCRYPTION_KEY: 32 bytes written as
+// 64 hex characters or base64. Generate one with
+//   node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+// decrypt() throws if the value was altered or encrypted under another key.
+const crypto = require("crypto");
+
+const VERSION = "v1";
+const ALGORITHM = "aes-256-gcm";
+
+function loadKey() {
+  const raw = process.env.DATA_ENCRYPTION_KEY;
+  if (!raw) return null;
+
+  const key = /^[0-9a-f]{64}$/i.test(raw)
+    ? Buffer.from(raw, "hex")
+    : Buffer.from(raw, "base64");
+  if (key.length !== 32) {
+    throw new Error("DATA_ENCRYPTION_KEY must be 32 bytes (hex or base64)");
+  }
+  return key;
+}
+
+const key = loadKey();
+
+function requireKey() {
+  if (!key) {
+    throw new Error("DATA_ENCRYPTION_KEY is not configured");
+  }
+  return key;
+}
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, requireKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(String(text), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString("base64") : part))
+    .join(":");
+}
+
+function decrypt(value) {
+  const [version, iv, tag, ciphertext] = String(value).split(":");
+  if (version !== VERSION || !ciphertext) {
+    throw new Error("Unrecognised encrypted value");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    requireKey(),
+    Buffer.from(iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+module.exports = { configured: Boolean(key), encrypt, decrypt };
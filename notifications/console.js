@@ -0,0 +1,41 @@
+// notifications/console.js - Log notifications instead of sending them
+//
+// Used for every channel when NOTIFICATION_TRANSPORT=console, and outside
+// production for channels whose provider isn't configured. With
+// NOTIFICATION_LOG_FILE set, each message is appended as one JSON line.
+const fs = require("fs");
+const crypto = require("crypto");
+
+const logFile = process.env.NOTIFICATION_LOG_FILE;
+
+function create(channel) {
+  async function send(to, message) {
+    const id = `console_${crypto.randomBytes(6).toString("hex")}`;
+
+    if (logFile) {
+      const entry = {
+        id,
+        channel,
+        to,
+        ...message,
+        // File names only - the contents would swamp the log
+        attachments: message.attachments?.map((file) => file.filename),
+        at: new Date(),
+      };
+      await fs.promises.appendFile(logFile, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(
+        `📨 [${channel}] to ${to}: ${message.subject || ""}\n${message.text}` +
+          (message.attachments || [])
+            .map((file) => `\n📎 ${file.filename}`)
+            .join(""),
+      );
+    }
+
+    return { id };
+  }
+
+  return { name: "console", channel, configured: true, send };
+}
+
+module.exports = { create };
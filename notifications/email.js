@@ -0,0 +1,40 @@
+// notifications/email.js - Email through Resend
+const { Resend } = require("resend");
+
+const EMAIL_CONFIG = {
+  apiKey: process.env.RESEND_API_KEY,
+  from: `${process.env.EMAIL_FROM_NAME || "Naukrivalaa Foundation"} <${process.env.EMAIL_FROM || "onboarding@resend.dev"}>`,
+  replyTo: process.env.REPLY_TO_EMAIL || "naukrivalaafoundation@gmail.com",
+};
+
+const resend = EMAIL_CONFIG.apiKey ? new Resend(EMAIL_CONFIG.apiKey) : null;
+
+async function send(to, message) {
+  const { data, error } = await resend.emails.send({
+    from: EMAIL_CONFIG.from,
+    to: [to],
+    reply_to: EMAIL_CONFIG.replyTo,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    ...(message.attachments?.length && {
+      attachments: message.attachments.map((file) => ({
+        filename: file.filename,
+        content: file.content,
+      })),
+    }),
+  });
+
+  if (error) {
+    throw new Error(error.message || JSON.stringify(error));
+  }
+
+  return { id: data?.id };
+}
+
+module.exports = {
+  name: "resend",
+  channel: "email",
+  configured: Boolean(resend),
+  send,
+};
@@ -0,0 +1,138 @@
+// notifications/index.js - Notification service
+//
+// prepare(event, recipient, data, options) renders the event's template for
+// each channel the recipient can be reached on; send(channel, to, message)
+// hands one rendered message to that channel's adapter:
+//   email    -> Resend        (recipient.email)
+//   sms      -> HTTP gateway  (recipient.phone)
+//   whatsapp -> Cloud API     (recipient.phone)
+// Every adapter exposes { name, channel, configured, send(to, message) }
+// and throws when the provider rejects the message. Queueing and retries
+// are left to the caller (the outbox in server.js).
+//
+// Channels the recipient switched off in contactPreferences are skipped,
+// unless options.ignorePreferences is set (e.g. for verification codes).
+// options.channels limits the channels tried.
+
+const templates = require("./templates");
+const consoleAdapter = require("./console");
+
+const ADAPTERS = {
+  email: require("./email"),
+  sms: require("./sms"),
+  whatsapp: require("./whatsapp"),
+};
+
+const CHANNELS = Object.keys(ADAPTERS);
+
+// Used when an applicant has no stored preference for a channel
+const DEFAULT_PREFERENCES = { email: true, sms: true, whatsapp: false };
+
+const CHANNEL_ADDRESS = {
+  email: (recipient) => recipient.email,
+  sms: (recipient) => recipient.phone,
+  whatsapp: (recipient) => recipient.phone,
+};
+
+const forceConsole = process.env.NOTIFICATION_TRANSPORT === "console";
+const isProduction = process.env.NODE_ENV === "production";
+
+// Unconfigured channels are logged in development and disabled in production
+const transports = {};
+for (const [channel, adapter] of Object.entries(ADAPTERS)) {
+  if (forceConsole || (!adapter.configured && !isProduction)) {
+    transports[channel] = consoleAdapter.create(channel);
+  } else if (adapter.configured) {
+    transports[channel] = adapter;
+  }
+}
+
+function wantsChannel(recipient, channel) {
+  const preference = recipient.contactPreferences?.[channel];
+  return typeof preference === "boolean"
+    ? preference
+    : DEFAULT_PREFERENCES[channel];
+}
+
+function skipReason(channel, recipient, options) {
+  if (!transports[channel]) return "not_configured";
+  if (!CHANNEL_ADDRESS[channel](recipient)) return "no_address";
+  if (!options.ignorePreferences && !wantsChannel(recipient, channel)) {
+    return "opted_out";
+  }
+  return null;
+}
+
+// Returns { messages, skipped }: messages are { channel, to, message }
+// ready for send(), skipped maps the other channels to the reason
+function prepare(event, recipient, data = {}, options = {}) {
+  if (!templates.hasTemplate(event)) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+
+  const messages = [];
+  const skipped = {};
+
+  for (const channel of options.channels || CHANNELS) {
+    const message = templates.render(event, channel, recipient, data);
+    const reason = message
+      ? skipReason(channel, recipient, options)
+      : "no_template";
+    if (reason) {
+      skipped[channel] = reason;
+      continue;
+    }
+
+    messages.push({
+      channel,
+      to: CHANNEL_ADDRESS[channel](recipient),
+      message,
+    });
+  }
+
+  return { messages, skipped };
+}
+
+// Deliver one rendered message. Resolves to { provider, id } and throws
+// with a readable message when the provider rejects it.
+async function send(channel, to, message) {
+  const transport = transports[channel];
+  if (!transport) {
+    throw new Error(`${channel} is not configured`);
+  }
+
+  try {
+    const { id } = await transport.send(to, message);
+    return { provider: transport.name, id };
+  } catch (error) {
+    const reason = error.response?.data
+      ? JSON.stringify(error.response.data)
+      : error.message;
+    throw new Error(reason);
+  }
+}
+
+// Render without sending, for the staff preview screen
+function renderPreview(event, channel, recipient, data) {
+  return templates.render(event, channel, recipient, data);
+}
+
+function describe() {
+  const status = {};
+  for (const channel of CHANNELS) {
+    status[channel] = transports[channel]?.name || "disabled";
+  }
+  return { notificationChannels: status };
+}
+
+module.exports = {
+  CHANNELS,
+  LOCALES: templates.LOCALES,
+  DEFAULT_LOCALE: templates.DEFAULT_LOCALE,
+  DEFAULT_PREFERENCES,
+  prepare,
+  send,
+  renderPreview,
+  listTemplates: templates.listTemplates,
+  describe,
+};
@@ -0,0 +1,36 @@
+// notifications/sms.js - SMS through an HTTP gateway
+//
+// Most Indian SMS gateways accept a JSON POST with an API key header.
+// SMS_API_URL receives { sender, to, message }; `to` is the 10-digit mobile
+// number prefixed with 91. DLT-registered sender IDs and templates are the
+// gateway account's concern.
+const axios = require("axios");
+
+const SMS_CONFIG = {
+  apiUrl: process.env.SMS_API_URL,
+  apiKey: process.env.SMS_API_KEY,
+  sender: process.env.SMS_SENDER_ID || "NKRVLA",
+};
+
+async function send(to, message) {
+  const response = await axios.post(
+    SMS_CONFIG.apiUrl,
+    { sender: SMS_CONFIG.sender, to: `91${to}`, message: message.text },
+    {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: SMS_CONFIG.apiKey,
+      },
+      timeout: 10000,
+    },
+  );
+
+  return { id: response.data?.id || response.data?.request_id };
+}
+
+module.exports = {
+  name: "sms-gateway",
+  channel: "sms",
+  configured: Boolean(SMS_CONFIG.apiUrl && SMS_CONFIG.apiKey),
+  send,
+};
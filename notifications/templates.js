@@ -0,0 +1,232 @@
+// notifications/templates.js - File-based message templates
+//
+// Templates live in notifications/templates/<locale>/<event>.<channel>.<ext>:
+//   application_confirmed.email.html   "subject: ..." line, "---", HTML body
+//   application_confirmed.sms.txt      plain text
+//   application_confirmed.whatsapp.txt plain text
+// Email bodies are wrapped in <locale>/layout.html with the shared
+// email.css. An event is only sent on the channels it has a file for.
+//
+// Placeholders: {{path.to.value}} is HTML-escaped in email bodies,
+// {{{value}}} is inserted as-is (only used by the layout), and
+// {{value | filter}} formats it first (see FILTERS).
+const fs = require("fs");
+const path = require("path");
+
+const TEMPLATE_DIR = path.join(__dirname, "templates");
+const LOCALES = ["en", "mr"];
+const DEFAULT_LOCALE = "en";
+
+// Organisation details shared by every template
+const ORG = {
+  name: "Naukrivalaa Foundation",
+  contactEmail:
+    process.env.CONTACT_EMAIL || "contact@naukrivalaafoundation.com",
+  phone: process.env.CONTACT_PHONE || "+91-9356625834",
+  website: process.env.SITE_URL || "https://www.naukrivalaafoundation.com",
+};
+
+const DATE_LOCALES = { en: "en-IN", mr: "mr-IN" };
+
+const FILTERS = {
+  date: (value, locale) =>
+    value
+      ? new Date(value).toLocaleDateString(DATE_LOCALES[locale], {
+          year: "numeric",
+          month: "long",
+          day: "numeric",
+          timeZone: "Asia/Kolkata",
+        })
+      : "",
+  // Amounts stored in paise
+  rupees: (value) => `₹${(Number(value) || 0) / 100}`,
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function lookup(context, keyPath) {
+  return keyPath
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+const PLACEHOLDER =
+  /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+function fill(source, context, { escape, locale }) {
+  return source.replace(PLACEHOLDER, (match, rawKey, key, filter) => {
+    if (rawKey) {
+      return String(lookup(context, rawKey) ?? "");
+    }
+
+    let value = lookup(context, key);
+    if (filter) {
+      if (!FILTERS[filter]) {
+        throw new Error(`Unknown template filter: ${filter}`);
+      }
+      value = FILTERS[filter](value, locale);
+    }
+
+    value = value == null ? "" : String(value);
+    return escape ? escapeHtml(value) : value;
+  });
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Plain-text part generated from the rendered HTML
+function htmlToText(html) {
+  const text = html
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(
+      /<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi,
+      (m, href, label) => (label.trim() === href ? href : `${label} (${href})`),
+    )
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n• ")
+    .replace(/<\/(p|div|h[1-6]|ul|ol|li|tr|table)>/gi, "\n")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// templates[locale][event][channel] = file contents, read once at startup
+function loadTemplates() {
+  const templates = {};
+
+  for (const locale of LOCALES) {
+    templates[locale] = {};
+    const dir = path.join(TEMPLATE_DIR, locale);
+
+    for (const file of fs.readdirSync(dir)) {
+      const match = file.match(/^(\w+)\.(email|sms|whatsapp)\.(html|txt)$/);
+      if (!match) continue;
+
+      const [, event, channel] = match;
+      templates[locale][event] = templates[locale][event] || {};
+      templates[locale][event][channel] = fs.readFileSync(
+        path.join(dir, file),
+        "utf8",
+      );
+    }
+  }
+
+  return templates;
+}
+
+const TEMPLATES = loadTemplates();
+const STYLES = fs.readFileSync(path.join(TEMPLATE_DIR, "email.css"), "utf8");
+const LAYOUTS = Object.fromEntries(
+  LOCALES.map((locale) => [
+    locale,
+    fs.readFileSync(path.join(TEMPLATE_DIR, locale, "layout.html"), "utf8"),
+  ]),
+);
+
+function parseEmail(source) {
+  const match = source.match(/^subject:(.*)\r?\n---\r?\n([\s\S]*)$/);
+  if (!match) {
+    throw new Error("Email templates must start with a subject line and ---");
+  }
+  return { subject: match[1].trim(), body: match[2] };
+}
+
+function toPlainObject(value) {
+  return typeof value?.toObject === "function" ? value.toObject() : value;
+}
+
+function resolveLocale(recipient) {
+  return LOCALES.includes(recipient.language)
+    ? recipient.language
+    : DEFAULT_LOCALE;
+}
+
+// Render one message. Falls back to the default locale when the
+// recipient's language has no template for this event and channel.
+function render(event, channel, recipient, data = {}) {
+  let locale = resolveLocale(recipient);
+  if (!TEMPLATES[locale][event]?.[channel]) {
+    locale = DEFAULT_LOCALE;
+  }
+
+  const source = TEMPLATES[locale][event]?.[channel];
+  if (!source) {
+    return null;
+  }
+
+  const context = {
+    ...toPlainObject(recipient),
+    ...data,
+    org: { ...ORG, year: new Date().getFullYear() },
+  };
+
+  if (channel !== "email") {
+    return { locale, text: fill(source, context, { locale }).trim() };
+  }
+
+  const { subject, body } = parseEmail(source);
+  const filledSubject = fill(subject, context, { escape: false, locale });
+  const content = fill(body, context, { escape: true, locale });
+  const html = fill(
+    LAYOUTS[locale],
+    {
+      ...context,
+      lang: locale,
+      subject: filledSubject,
+      styles: STYLES,
+      content,
+    },
+    { escape: true, locale },
+  );
+
+  return { locale, subject: filledSubject, html, text: htmlToText(html) };
+}
+
+function hasTemplate(event) {
+  return LOCALES.some((locale) => TEMPLATES[locale][event]);
+}
+
+// { event: { channel: [locales] } } for the preview screen
+function listTemplates() {
+  const list = {};
+  for (const locale of LOCALES) {
+    for (const [event, channels] of Object.entries(TEMPLATES[locale])) {
+      list[event] = list[event] || {};
+      for (const channel of Object.keys(channels)) {
+        list[event][channel] = [...(list[event][channel] || []), locale];
+      }
+    }
+  }
+  return list;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  escapeHtml,
+  htmlToText,
+  render,
+  hasTemplate,
+  listTemplates,
+};
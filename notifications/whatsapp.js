@@ -0,0 +1,60 @@
+// notifications/whatsapp.js - WhatsApp through the Meta Cloud API
+//
+// Free-form text is only delivered inside the 24-hour customer service
+// window; outside it WhatsApp requires a pre-approved template, configured
+// on the Meta side and named in WHATSAPP_TEMPLATE_NAME.
+const axios = require("axios");
+
+const WHATSAPP_CONFIG = {
+  token: process.env.WHATSAPP_TOKEN,
+  phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+  apiVersion: process.env.WHATSAPP_API_VERSION || "v19.0",
+  templateName: process.env.WHATSAPP_TEMPLATE_NAME,
+  templateLanguage: process.env.WHATSAPP_TEMPLATE_LANGUAGE || "en",
+};
+
+// Template parameters may not contain newlines or tabs, nor more than four
+// spaces in a row, so the message is folded onto one line
+function templateText(text) {
+  return String(text)
+    .trim()
+    .replace(/\s*[\r\n\t]+\s*/g, " • ")
+    .replace(/ {4,}/g, " ");
+}
+
+async function send(to, message) {
+  const body = WHATSAPP_CONFIG.templateName
+    ? {
+        type: "template",
+        template: {
+          name: WHATSAPP_CONFIG.templateName,
+          language: { code: WHATSAPP_CONFIG.templateLanguage },
+          components: [
+            {
+              type: "body",
+              parameters: [{ type: "text", text: templateText(message.text) }],
+            },
+          ],
+        },
+      }
+    : { type: "text", text: { body: message.text } };
+
+  const response = await axios.post(
+    `https://graph.facebook.com/${WHATSAPP_CONFIG.apiVersion}/${WHATSAPP_CONFIG.phoneNumberId}/messages`,
+    { messaging_product: "whatsapp", to: `91${to}`, ...body },
+    {
+      headers: { Authorization: `Bearer ${WHATSAPP_CONFIG.token}` },
+      timeout: 10000,
+    },
+  );
+
+  return { id: response.data?.messages?.[0]?.id };
+}
+
+module.exports = {
+  name: "whatsapp-cloud",
+  channel: "whatsapp",
+  configured: Boolean(WHATSAPP_CONFIG.token && WHATSAPP_CONFIG.phoneNumberId),
+  send,
+  templateText,
+};
@@ -0,0 +1,32 @@
+// providers/index.js - Payment provider selection
+//
+// Every provider exposes the same interface, using PhonePe V2 request and
+// response shapes so the routes don't care which one is active:
+//   generateAuthToken()                       -> access token string
+//   createOrder(requestBody)                  -> { orderId, state, expireAt, redirectUrl }
+//   getOrderStatus(merchantOrderId)           -> { orderId, state, amount, paymentDetails, ... }
+//   createRefund(merchantRefundId, merchantOrderId, amount) -> { refundId, amount, state }
+//   getRefundStatus(merchantRefundId)         -> { merchantRefundId, state, amount, ... }
+//   verifyCallback(authorizationHeader)       -> boolean
+//   describe()                                -> fields for the /health report
+// Failed gateway calls throw errors shaped like axios errors
+// (error.response.status / error.response.data) so existing handlers work.
+
+const PROVIDERS = {
+  phonepe: () => require("./phonepe"),
+  mock: () => require("./mock"),
+};
+
+const providerName = (process.env.PAYMENT_PROVIDER || "phonepe").toLowerCase();
+
+if (!PROVIDERS[providerName]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER: ${providerName}`);
+}
+
+if (providerName === "mock" && process.env.NODE_ENV === "production") {
+  throw new Error("The mock payment provider cannot be used in production");
+}
+
+console.log(`💳 Payment provider: ${providerName}`);
+
+module.exports = PROVIDERS[providerName]();
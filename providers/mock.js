@@ -0,0 +1,266 @@
+// providers/mock.js - Local mock gateway for offline development and tests
+//
+// Orders live in memory. createOrder() returns a redirectUrl to a fake
+// checkout page served by this app under /mock-gateway, where the payment
+// can be told to succeed, fail or stay pending. Responses mirror PhonePe V2.
+const axios = require("axios");
+const crypto = require("crypto");
+const express = require("express");
+const { verifyCallback, PHONEPE_CONFIG } = require("./phonepe");
+
+const MOCK_CONFIG = {
+  baseUrl:
+    process.env.MOCK_GATEWAY_BASE_URL ||
+    `http://localhost:${process.env.PORT || 3000}`,
+  // Final state a refund settles into on its first status check
+  refundOutcome: process.env.MOCK_REFUND_OUTCOME || "COMPLETED",
+};
+
+const orders = new Map();
+const refunds = new Map();
+
+function notFoundError(code, message) {
+  const error = new Error(message);
+  error.response = { status: 404, data: { code, message } };
+  return error;
+}
+
+function badRequestError(code, message) {
+  const error = new Error(message);
+  error.response = { status: 400, data: { code, message } };
+  return error;
+}
+
+function randomSuffix() {
+  return crypto.randomBytes(4).toString("hex").toUpperCase();
+}
+
+async function generateAuthToken() {
+  return `mock-token-${randomSuffix()}`;
+}
+
+async function createOrder(requestBody) {
+  const { merchantOrderId, amount, expireAfter, metaInfo, paymentFlow } =
+    requestBody;
+
+  if (!merchantOrderId || !amount) {
+    throw badRequestError("BAD_REQUEST", "merchantOrderId and amount required");
+  }
+
+  if (orders.has(merchantOrderId)) {
+    throw badRequestError("BAD_REQUEST", "Duplicate merchantOrderId");
+  }
+
+  const orderId = `OMO${Date.now()}${randomSuffix()}`;
+  const order = {
+    orderId,
+    merchantOrderId,
+    amount,
+    state: "PENDING",
+    expireAt: Date.now() + (expireAfter || 1800) * 1000,
+    metaInfo: metaInfo || {},
+    redirectUrl: paymentFlow?.merchantUrls?.redirectUrl,
+    paymentDetails: [],
+  };
+  orders.set(merchantOrderId, order);
+
+  return {
+    orderId,
+    state: order.state,
+    expireAt: order.expireAt,
+    redirectUrl: `${MOCK_CONFIG.baseUrl}/mock-gateway/checkout/${orderId}`,
+  };
+}
+
+function toOrderStatus(order) {
+  // Like PhonePe, an unpaid order fails once it expires
+  if (order.state === "PENDING" && Date.now() > order.expireAt) {
+    order.state = "FAILED";
+  }
+
+  return {
+    orderId: order.orderId,
+    state: order.state,
+    amount: order.amount,
+    expireAt: order.expireAt,
+    metaInfo: order.metaInfo,
+    paymentDetails: order.paymentDetails,
+  };
+}
+
+async function getOrderStatus(merchantOrderId) {
+  const order = orders.get(merchantOrderId);
+  if (!order) {
+    throw notFoundError("ORDER_NOT_FOUND", "Order not found");
+  }
+
+  return toOrderStatus(order);
+}
+
+async function createRefund(merchantRefundId, merchantOrderId, amount) {
+  const order = orders.get(merchantOrderId);
+  if (!order) {
+    throw notFoundError("ORDER_NOT_FOUND", "Order not found");
+  }
+
+  if (order.state !== "COMPLETED") {
+    throw badRequestError("BAD_REQUEST", "Order is not completed");
+  }
+
+  const refund = {
+    merchantRefundId,
+    originalMerchantOrderId: merchantOrderId,
+    refundId: `OMR${Date.now()}${randomSuffix()}`,
+    amount,
+    state: "PENDING",
+  };
+  refunds.set(merchantRefundId, refund);
+
+  return {
+    refundId: refund.refundId,
+    amount: refund.amount,
+    state: refund.state,
+  };
+}
+
+async function getRefundStatus(merchantRefundId) {
+  const refund = refunds.get(merchantRefundId);
+  if (!refund) {
+    throw notFoundError("REFUND_NOT_FOUND", "Refund not found");
+  }
+
+  if (refund.state === "PENDING") {
+    refund.state = MOCK_CONFIG.refundOutcome;
+    await sendCallback(
+      refund.state === "COMPLETED" ? "pg.refund.completed" : "pg.refund.failed",
+      refund,
+    );
+  }
+
+  return {
+    merchantId: "MOCKMERCHANT",
+    merchantRefundId: refund.merchantRefundId,
+    originalMerchantOrderId: refund.originalMerchantOrderId,
+    refundId: refund.refundId,
+    amount: refund.amount,
+    state: refund.state,
+  };
+}
+
+// Deliver a webhook to our own callback route, signed like PhonePe does
+async function sendCallback(event, payload) {
+  if (!PHONEPE_CONFIG.callbackUsername || !PHONEPE_CONFIG.callbackPassword) {
+    return;
+  }
+
+  const authorization = crypto
+    .createHash("sha256")
+    .update(
+      `${PHONEPE_CONFIG.callbackUsername}:${PHONEPE_CONFIG.callbackPassword}`,
+    )
+    .digest("hex");
+
+  try {
+    await axios.post(
+      `${MOCK_CONFIG.baseUrl}/api/payment/callback`,
+      { event, payload },
+      { headers: { Authorization: authorization }, timeout: 10000 },
+    );
+  } catch (error) {
+    console.error("❌ Mock gateway callback failed:", error.message);
+  }
+}
+
+function findOrderById(orderId) {
+  for (const order of orders.values()) {
+    if (order.orderId === orderId) return order;
+  }
+  return null;
+}
+
+// Fake checkout page
+const router = express.Router();
+
+router.get("/checkout/:orderId", (req, res) => {
+  const order = findOrderById(req.params.orderId);
+  if (!order) {
+    return res.status(404).send("Unknown mock order");
+  }
+
+  res.send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Mock Gateway Checkout</title>
+    <style>
+      body { font-family: "Segoe UI", Tahoma, sans-serif; background: #5f259f; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+      .card { background: white; border-radius: 16px; padding: 32px; max-width: 420px; text-align: center; }
+      button { display: block; width: 100%; margin: 10px 0; padding: 12px; border: none; border-radius: 8px; font-size: 16px; cursor: pointer; color: white; }
+      .success { background: #28a745; } .fail { background: #dc3545; } .pending { background: #ffc107; color: #333; }
+    </style>
+  </head>
+  <body>
+    <div class="card">
+      <h2>🧪 Mock Gateway</h2>
+      <p>Order <strong>${order.merchantOrderId}</strong></p>
+      <p>Amount: <strong>₹${order.amount / 100}</strong></p>
+      <form method="POST">
+        <button class="success" name="outcome" value="COMPLETED">Pay successfully</button>
+        <button class="fail" name="outcome" value="FAILED">Fail payment</button>
+        <button class="pending" name="outcome" value="PENDING">Leave pending</button>
+      </form>
+    </div>
+  </body>
+</html>`);
+});
+
+router.post("/checkout/:orderId", async (req, res) => {
+  const order = findOrderById(req.params.orderId);
+  if (!order) {
+    return res.status(404).send("Unknown mock order");
+  }
+
+  const outcome = ["COMPLETED", "FAILED", "PENDING"].includes(req.body.outcome)
+    ? req.body.outcome
+    : "PENDING";
+
+  order.state = outcome;
+  if (outcome !== "PENDING") {
+    order.paymentDetails = [
+      {
+        paymentMode: "UPI_INTENT",
+        transactionId: `OMT${Date.now()}${randomSuffix()}`,
+        timestamp: Date.now(),
+        amount: order.amount,
+        state: outcome,
+      },
+    ];
+
+    await sendCallback(
+      outcome === "COMPLETED"
+        ? "checkout.order.completed"
+        : "checkout.order.failed",
+      { merchantOrderId: order.merchantOrderId, ...toOrderStatus(order) },
+    );
+  }
+
+  res.redirect(order.redirectUrl || "/");
+});
+
+function describe() {
+  return {
+    mockGateway: `${MOCK_CONFIG.baseUrl}/mock-gateway`,
+  };
+}
+
+module.exports = {
+  name: "mock",
+  generateAuthToken,
+  createOrder,
+  getOrderStatus,
+  createRefund,
+  getRefundStatus,
+  verifyCallback,
+  describe,
+  router,
+};
@@ -0,0 +1,254 @@
+// providers/phonepe.js - PhonePe V2 (OAuth) payment provider
+const axios = require("axios");
+const crypto = require("crypto");
+
+// PhonePe V2 Configuration
+const PHONEPE_CONFIG = {
+  clientId: process.env.PHONEPE_CLIENT_ID,
+  clientVersion: process.env.PHONEPE_CLIENT_VERSION,
+  clientSecret: process.env.PHONEPE_CLIENT_SECRET,
+  merchantId: process.env.PHONEPE_MERCHANT_ID,
+  saltKey: process.env.PHONEPE_SALT_KEY,
+  saltIndex: process.env.PHONEPE_SALT_INDEX || "1",
+  env: process.env.PHONEPE_ENV || "PROD",
+  // Username/password configured for the webhook on the PhonePe dashboard
+  callbackUsername: process.env.PHONEPE_CALLBACK_USERNAME,
+  callbackPassword: process.env.PHONEPE_CALLBACK_PASSWORD,
+};
+
+// PhonePe V2 URLs
+const PHONEPE_URLS = {
+  UAT: {
+    token: "https://api-preprod.phonepe.com/apis/pg-sandbox/v1/oauth/token",
+    payment: "https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/pay",
+    status: "https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/order",
+    refund:
+      "https://api-preprod.phonepe.com/apis/pg-sandbox/payments/v2/refund",
+  },
+  PROD: {
+    token: "https://api.phonepe.com/apis/identity-manager/v1/oauth/token",
+    payment: "https://api.phonepe.com/apis/pg/checkout/v2/pay",
+    status: "https://api.phonepe.com/apis/pg/checkout/v2/order",
+    refund: "https://api.phonepe.com/apis/pg/payments/v2/refund",
+  },
+};
+
+// Token cache
+let tokenCache = {
+  token: null,
+  expiresAt: 0,
+};
+
+// OAuth V2 Token Generation
+async function generateAuthToken() {
+  try {
+    // Check cache first
+    if (tokenCache.token && Date.now() < tokenCache.expiresAt - 60000) {
+      console.log("🔄 Using cached token");
+      return tokenCache.token;
+    }
+
+    const tokenEndpoint = PHONEPE_URLS[PHONEPE_CONFIG.env].token;
+
+    // ✅ Create Basic Authentication Header
+    const credentials = `${PHONEPE_CONFIG.clientId}:${PHONEPE_CONFIG.clientSecret}`;
+    const basicAuth = Buffer.from(credentials).toString("base64");
+
+    // Prepare request body
+    const requestBodyJson = {
+      client_version: PHONEPE_CONFIG.clientVersion,
+      grant_type: "client_credentials",
+      client_id: PHONEPE_CONFIG.clientId,
+      client_secret: PHONEPE_CONFIG.clientSecret,
+    };
+
+    const requestBody = new URLSearchParams(requestBodyJson).toString();
+
+    console.log("🔑 Requesting token from:", tokenEndpoint);
+
+    // Make token request with Basic Auth
+    const response = await axios.post(tokenEndpoint, requestBody, {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Basic ${basicAuth}`, // ← THIS IS THE FIX!
+      },
+      timeout: 30000,
+    });
+
+    // Validate and cache token
+    if (response.data && response.data.access_token) {
+      tokenCache.token = response.data.access_token;
+      tokenCache.expiresAt = response.data.expires_at * 1000;
+
+      console.log("✅ Token generated successfully");
+      console.log(
+        "⏰ Expires:",
+        new Date(tokenCache.expiresAt).toLocaleString(),
+      );
+
+      return response.data.access_token;
+    } else {
+      throw new Error(
+        "Invalid token response: " + JSON.stringify(response.data),
+      );
+    }
+  } catch (error) {
+    console.error("❌ Token generation failed:");
+    console.error("  URL:", PHONEPE_URLS[PHONEPE_CONFIG.env]?.token);
+    console.error("  Status:", error.response?.status);
+    console.error("  Data:", JSON.stringify(error.response?.data));
+    console.error("  Message:", error.message);
+
+    // Clear cache on error
+    tokenCache.token = null;
+    tokenCache.expiresAt = 0;
+
+    throw new Error(
+      `OAuth token generation failed: ${error.response?.data?.message || error.message}`,
+    );
+  }
+}
+
+// Create a PG_CHECKOUT order from a V2 payment payload
+async function createOrder(requestBody) {
+  const authToken = await generateAuthToken();
+
+  const requestHeaders = {
+    "Content-Type": "application/json",
+    Authorization: `O-Bearer ${authToken}`,
+  };
+
+  console.log("🔍 PHONEPE REQUEST DEBUG:");
+  console.log("📍 URL:", PHONEPE_URLS[PHONEPE_CONFIG.env].payment);
+  console.log("📦 Body:", JSON.stringify(requestBody, null, 2));
+  console.log("🔑 Headers:", {
+    "Content-Type": requestHeaders["Content-Type"],
+    Authorization: requestHeaders.Authorization.substring(0, 30) + "...",
+  });
+
+  const response = await axios.post(
+    PHONEPE_URLS[PHONEPE_CONFIG.env].payment,
+    requestBody,
+    {
+      headers: requestHeaders,
+      timeout: 30000,
+    },
+  );
+
+  return response.data;
+}
+
+// Fetch the latest order state from PhonePe
+async function getOrderStatus(merchantOrderId) {
+  const authToken = await generateAuthToken();
+
+  const requestHeaders = {
+    "Content-Type": "application/json",
+    Authorization: `O-Bearer ${authToken}`,
+  };
+
+  const statusUrl = `${PHONEPE_URLS[PHONEPE_CONFIG.env].status}/${merchantOrderId}/status?details=true&errorContext=true`;
+
+  const response = await axios.get(statusUrl, {
+    headers: requestHeaders,
+    timeout: 30000,
+  });
+
+  return response.data;
+}
+
+// Ask PhonePe to refund (part of) a completed order
+async function createRefund(merchantRefundId, merchantOrderId, amount) {
+  const authToken = await generateAuthToken();
+
+  const response = await axios.post(
+    PHONEPE_URLS[PHONEPE_CONFIG.env].refund,
+    {
+      merchantRefundId,
+      originalMerchantOrderId: merchantOrderId,
+      amount,
+    },
+    {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `O-Bearer ${authToken}`,
+      },
+      timeout: 30000,
+    },
+  );
+
+  return response.data;
+}
+
+// Fetch the latest refund state from PhonePe
+async function getRefundStatus(merchantRefundId) {
+  const authToken = await generateAuthToken();
+
+  const response = await axios.get(
+    `${PHONEPE_URLS[PHONEPE_CONFIG.env].refund}/${merchantRefundId}/status`,
+    {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `O-Bearer ${authToken}`,
+      },
+      timeout: 30000,
+    },
+  );
+
+  return response.data;
+}
+
+// PhonePe signs callbacks with SHA256(username:password) in the Authorization header
+function verifyCallback(authorizationHeader) {
+  if (
+    !PHONEPE_CONFIG.callbackUsername ||
+    !PHONEPE_CONFIG.callbackPassword ||
+    !authorizationHeader
+  ) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHash("sha256")
+    .update(
+      `${PHONEPE_CONFIG.callbackUsername}:${PHONEPE_CONFIG.callbackPassword}`,
+    )
+    .digest("hex");
+
+  // Some integrations prefix the hash with "SHA256 "
+  const received = authorizationHeader
+    .replace(/^SHA256\s+/i, "")
+    .trim()
+    .toLowerCase();
+
+  if (received.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+function describe() {
+  return {
+    phonepe: PHONEPE_CONFIG.clientId ? "configured" : "not configured",
+    phonePeEnv: PHONEPE_CONFIG.env,
+    phonePeCallback: PHONEPE_CONFIG.callbackUsername
+      ? "configured"
+      : "not configured",
+    method: "OAuth V2 (Working)",
+    client_id: PHONEPE_CONFIG.clientId,
+  };
+}
+
+module.exports = {
+  name: "phonepe",
+  generateAuthToken,
+  createOrder,
+  getOrderStatus,
+  createRefund,
+  getRefundStatus,
+  verifyCallback,
+  describe,
+  PHONEPE_CONFIG,
+  PHONEPE_URLS,
+};
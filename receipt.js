@@ -0,0 +1,164 @@
+// receipt.js - PDF acknowledgment receipt for a paid application
+//
+// buildReceipt(details) resolves to the PDF as a Buffer. The QR code links
+// to details.verifyUrl, where a school (or anyone holding the receipt) can
+// check it against our records.
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+
+const ORG = {
+  name: "Naukrivalaa Foundation",
+  contactEmail:
+    process.env.CONTACT_EMAIL || "contact@naukrivalaafoundation.com",
+  phone: process.env.CONTACT_PHONE || "+91-9356625834",
+};
+
+// The built-in PDF fonts only cover Latin text. Point RECEIPT_FONT at a
+// TTF with Devanagari glyphs (e.g. Noto Sans Devanagari) to print names
+// typed in Marathi.
+const RECEIPT_FONT = process.env.RECEIPT_FONT;
+
+const COLORS = { brand: "#667eea", text: "#333333", muted: "#6c757d" };
+
+function formatDate(value) {
+  return new Date(value).toLocaleString("en-IN", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: "Asia/Kolkata",
+  });
+}
+
+// Amounts stored in paise. "Rs." because the built-in fonts have no ₹ glyph.
+function formatAmount(paise) {
+  return `Rs. ${(paise / 100).toFixed(2)}`;
+}
+
+function receiptFilename(applicationId) {
+  return `receipt-${applicationId}.pdf`;
+}
+
+// details: { name, applicationId, cycleCode, merchantOrderId,
+//            phonePeOrderId, amount, paidAt, receiptCode, verifyUrl }
+async function buildReceipt(details) {
+  const qrCode = await QRCode.toBuffer(details.verifyUrl, {
+    margin: 1,
+    width: 300,
+  });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `Application receipt ${details.applicationId}`,
+        Author: ORG.name,
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const regular = RECEIPT_FONT || "Helvetica";
+    const bold = RECEIPT_FONT || "Helvetica-Bold";
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 110).fill(COLORS.brand);
+    doc
+      .fillColor("white")
+      .font(bold)
+      .fontSize(24)
+      .text(ORG.name, left, 35, { width, align: "center" });
+    doc
+      .font(regular)
+      .fontSize(12)
+      .text("Scholarship Application - Acknowledgment Receipt", left, 70, {
+        width,
+        align: "center",
+      });
+
+    doc
+      .fillColor(COLORS.text)
+      .font(regular)
+      .fontSize(11)
+      .text(
+        "This is to acknowledge that the scholarship application below has been received and the application fee has been paid.",
+        left,
+        140,
+        { width },
+      );
+
+    const rows = [
+      ["Applicant", details.name],
+      ["Application ID", details.applicationId],
+      ["Application cycle", details.cycleCode],
+      ["PhonePe order ID", details.phonePeOrderId || "-"],
+      ["Payment reference", details.merchantOrderId],
+      ["Amount paid", formatAmount(details.amount)],
+      ["Payment date", formatDate(details.paidAt)],
+      ["Receipt number", details.receiptCode],
+    ];
+
+    let y = 190;
+    for (const [label, value] of rows) {
+      doc
+        .font(regular)
+        .fontSize(10)
+        .fillColor(COLORS.muted)
+        .text(label, left, y, { width: 140 });
+      doc
+        .font(bold)
+        .fontSize(11)
+        .fillColor(COLORS.text)
+        .text(String(value ?? ""), left + 150, y, { width: 180 });
+      y += 30;
+      doc
+        .moveTo(left, y - 8)
+        .lineTo(left + 330, y - 8)
+        .strokeColor("#e9ecef")
+        .stroke();
+    }
+
+    // QR code beside the details
+    const qrSize = 150;
+    const qrX = left + width - qrSize;
+    doc.image(qrCode, qrX, 190, { width: qrSize });
+    doc
+      .font(regular)
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text("Scan to verify this receipt", qrX, 190 + qrSize + 6, {
+        width: qrSize,
+        align: "center",
+      });
+
+    y += 20;
+    doc
+      .font(regular)
+      .fontSize(9)
+      .fillColor(COLORS.muted)
+      .text(`Verify online: ${details.verifyUrl}`, left, y, {
+        width,
+        link: details.verifyUrl,
+      });
+
+    doc
+      .fontSize(9)
+      .text(
+        `This receipt is computer generated and needs no signature. For queries contact ${ORG.contactEmail} or ${ORG.phone}.`,
+        left,
+        doc.page.height - 90,
+        { width, align: "center" },
+      );
+
+    doc.end();
+  });
+}
+
+module.exports = { buildReceipt, receiptFilename };
@@ -0,0 +1,227 @@
+// scoring.js - Weighted scoring for the published selection criteria
+//
+// Family Income 40% • Achievements 25% • SOP 25% • Recommendation 10%
+// Every component is scored 0-100 and the total is the weighted average,
+// so the final score is also on a 0-100 scale.
+
+const DEFAULT_WEIGHTS = {
+  income: 40,
+  achievements: 25,
+  sop: 25,
+  recommendation: 10,
+};
+
+const RATED_COMPONENTS = ["achievements", "sop", "recommendation"];
+
+// Reviewers rate each rated component on a 0-10 scale
+const MAX_RATING = 10;
+
+// Anchors shown to reviewers for each rated component. Ratings between
+// two anchors are allowed.
+const RUBRIC = {
+  achievements: [
+    { rating: 0, label: "Nothing described" },
+    { rating: 3, label: "Took part in school-level activities" },
+    {
+      rating: 5,
+      label: "Won at school level, or sustained effort (sport, arts, service)",
+    },
+    { rating: 8, label: "Won at district or state level" },
+    {
+      rating: 10,
+      label: "National level, or exceptional given the applicant's situation",
+    },
+  ],
+  sop: [
+    { rating: 0, label: "Missing or copied" },
+    { rating: 3, label: "Generic; says little about the applicant" },
+    { rating: 5, label: "Clear need and goal, few specifics" },
+    { rating: 8, label: "Specific goals and a credible plan to reach them" },
+    {
+      rating: 10,
+      label: "Compelling, specific and clearly the applicant's own words",
+    },
+  ],
+  recommendation: [
+    { rating: 0, label: "None, or cannot be verified" },
+    { rating: 3, label: "Name only, or from a relative" },
+    { rating: 5, label: "Teacher or principal, general statement" },
+    { rating: 8, label: "Teacher or principal who knows the applicant well" },
+    {
+      rating: 10,
+      label: "Strong, specific endorsement from a verifiable source",
+    },
+  ],
+};
+
+// Income bands as offered on the form. Lower income = higher score: each
+// band maps to a score range that is interpolated by the declared amount.
+const INCOME_BANDS = [
+  { band: "Below ₹1,00,000", min: 0, max: 100000, high: 100, low: 85 },
+  {
+    band: "₹1,00,000 – ₹3,00,000",
+    min: 100000,
+    max: 300000,
+    high: 85,
+    low: 60,
+  },
+  {
+    band: "₹3,00,000 – ₹5,00,000",
+    min: 300000,
+    max: 500000,
+    high: 60,
+    low: 35,
+  },
+  { band: "Above ₹5,00,000", min: 500000, max: 1000000, high: 35, low: 0 },
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function validateWeights(weights) {
+  const errors = [];
+  const keys = Object.keys(DEFAULT_WEIGHTS);
+
+  for (const key of keys) {
+    const value = weights[key];
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      errors.push(`Weight "${key}" must be a non-negative number`);
+    }
+  }
+
+  const total = keys.reduce((sum, key) => sum + (Number(weights[key]) || 0), 0);
+  if (Math.abs(total - 100) > 0.001) {
+    errors.push(`Weights must add up to 100 (got ${total})`);
+  }
+
+  return errors;
+}
+
+// Score 0-100 for family income. If the amount doesn't fall inside the
+// declared band we can't trust either, so it gets the lower of the declared
+// band's lowest score and the amount's own score - understating the band
+// never earns more points than answering honestly.
+function scoreIncome(incomeAmount, incomeBand) {
+  const declared = INCOME_BANDS.find((b) => b.band === incomeBand);
+  const amount = Number(incomeAmount);
+  const hasAmount =
+    incomeAmount !== null &&
+    incomeAmount !== undefined &&
+    incomeAmount !== "" &&
+    Number.isFinite(amount) &&
+    amount >= 0;
+
+  if (!hasAmount) {
+    return declared
+      ? { points: declared.low, band: declared.band, mismatch: false }
+      : { points: 0, band: null, mismatch: false };
+  }
+
+  const isLastBand = (b) => b === INCOME_BANDS[INCOME_BANDS.length - 1];
+  const inBand = (b) => amount >= b.min && (amount <= b.max || isLastBand(b));
+
+  const pointsIn = (band) => {
+    const position = Math.min((amount - band.min) / (band.max - band.min), 1);
+    return band.high - position * (band.high - band.low);
+  };
+
+  if (declared && !inBand(declared)) {
+    const points = Math.min(declared.low, pointsIn(INCOME_BANDS.find(inBand)));
+    return { points: round2(points), band: declared.band, mismatch: true };
+  }
+
+  const band = declared || INCOME_BANDS.find(inBand);
+  return { points: round2(pointsIn(band)), band: band.band, mismatch: false };
+}
+
+// Full breakdown for one application. `ratings` holds the reviewer ratings
+// (0-10) for achievements, sop and recommendation; missing ones count as 0.
+function computeScore(application, ratings = {}, weights = DEFAULT_WEIGHTS) {
+  const income = scoreIncome(
+    application.income_amount,
+    application.income_band,
+  );
+
+  const components = {
+    income: {
+      points: income.points,
+      weight: weights.income,
+      weighted: round2((income.points * weights.income) / 100),
+      band: income.band,
+      mismatch: income.mismatch,
+    },
+  };
+
+  let complete = true;
+  for (const key of RATED_COMPONENTS) {
+    const rating = ratings[key];
+    const rated = typeof rating === "number" && Number.isFinite(rating);
+    if (!rated) complete = false;
+
+    const clamped = rated ? Math.min(Math.max(rating, 0), MAX_RATING) : 0;
+    const points = (clamped / MAX_RATING) * 100;
+
+    components[key] = {
+      rating: rated ? clamped : null,
+      points: round2(points),
+      weight: weights[key],
+      weighted: round2((points * weights[key]) / 100),
+    };
+  }
+
+  const total = round2(
+    Object.values(components).reduce((sum, c) => sum + c.weighted, 0),
+  );
+
+  return {
+    total,
+    complete,
+    components,
+    weights: { ...weights },
+    computedAt: new Date(),
+  };
+}
+
+// Mean of several reviewers' ratings, per rated component
+function averageRatings(ratingsList) {
+  const average = {};
+  for (const key of RATED_COMPONENTS) {
+    const values = ratingsList
+      .map((ratings) => ratings?.[key])
+      .filter((value) => typeof value === "number");
+    if (values.length) {
+      average[key] = round2(
+        values.reduce((sum, value) => sum + value, 0) / values.length,
+      );
+    }
+  }
+  return average;
+}
+
+// Largest gap between two reviewers on any rated component
+function ratingSpread(ratingsList) {
+  let spread = 0;
+  for (const key of RATED_COMPONENTS) {
+    const values = ratingsList
+      .map((ratings) => ratings?.[key])
+      .filter((value) => typeof value === "number");
+    if (values.length > 1) {
+      spread = Math.max(spread, Math.max(...values) - Math.min(...values));
+    }
+  }
+  return round2(spread);
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  INCOME_BANDS,
+  MAX_RATING,
+  RATED_COMPONENTS,
+  RUBRIC,
+  averageRatings,
+  ratingSpread,
+  validateWeights,
+  scoreIncome,
+  computeScore,
+};
@@ -1,6 +1,9 @@
 // ====== CONFIG ======
 const BACKEND_BASE_URL = "https://naukrivalaafoundation.onrender.com"; // ✅ Fixed URL
 
+// Must match DOCUMENT_MAX_SIZE_MB on the server
+const MAX_DOCUMENT_SIZE_MB = 5;
+
 // Form Elements
 const form = document.querySelector("#scholarshipForm");
 const submitBtn = document.querySelector("#submitBtn");
@@ -97,6 +100,37 @@ const validateFormData = (formData) => {
     return "Statement of Purpose must be at least 50 characters long.";
   }
 
+  // Validate documents (the server checks the file contents again)
+  const documentFields = [
+    { name: "marksheet", label: "Marksheet", required: true },
+    { name: "income_certificate", label: "Income Certificate", required: true },
+    { name: "id_proof", label: "ID Proof", required: true },
+    { name: "achievement_proof", label: "Achievement Certificates", max: 3 },
+  ];
+
+  for (const field of documentFields) {
+    const files = formData
+      .getAll(field.name)
+      .filter((file) => file && file.size > 0);
+
+    if (field.required && files.length === 0) {
+      return `${field.label} is required.`;
+    }
+
+    if (files.length > (field.max || 1)) {
+      return `Please upload at most ${field.max || 1} ${field.label}.`;
+    }
+
+    for (const file of files) {
+      if (!/\.(pdf|jpe?g|png)$/i.test(file.name)) {
+        return `${field.label} must be a PDF, JPG or PNG file.`;
+      }
+      if (file.size > MAX_DOCUMENT_SIZE_MB * 1024 * 1024) {
+        return `${field.label} must be smaller than ${MAX_DOCUMENT_SIZE_MB} MB.`;
+      }
+    }
+  }
+
   // Check consent
   const consent = document.getElementById("consent");
   if (!consent || !consent.checked) {
@@ -106,31 +140,162 @@ const validateFormData = (formData) => {
   return null;
 };
 
-// Generate Application ID (Client-side compatible)
-const generateApplicationId = () => {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-  const day = String(now.getDate()).padStart(2, "0");
-  const timestamp = now.getTime().toString().slice(-6);
-  const randomStr = Math.random().toString(36).substring(2, 5).toUpperCase();
-  return `NF${year}${month}${day}${timestamp}${randomStr}`;
+// One Idempotency-Key per form attempt, so repeated taps replay the same
+// server response instead of creating duplicate applications or orders
+let attemptKey = null;
+
+const generateAttemptKey = () => {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).substring(2, 12)}`;
 };
 
-// Generate unique merchant order ID (Browser-compatible) - ✅ Fixed
-const generateMerchantOrderId = () => {
-  const timestamp = Date.now();
-  const randomPart = Math.random().toString(36).substring(2, 15);
-  const randomNumber = Math.floor(Math.random() * 999999);
-  return `MO_${timestamp}_${randomPart}_${randomNumber}`;
+// Email verification before payment
+const requestEmailCode = async (applicationId) => {
+  const res = await fetch(
+    `${BACKEND_BASE_URL}/api/application/${encodeURIComponent(applicationId)}/email-otp`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        phone: document.getElementById("phone").value.trim(),
+      }),
+    },
+  );
+  const result = await res.json().catch(() => ({}));
+  return { status: res.status, result };
+};
+
+// Inline prompt next to the submit button. Resolves once the code is
+// accepted, rejects if the applicant cancels.
+const showEmailCodePrompt = (applicationId, message) =>
+  new Promise((resolve, reject) => {
+    const prompt = document.createElement("div");
+    prompt.className = "field";
+    prompt.style.cssText =
+      "margin-top: 12px; padding: 15px; border: 1px solid #60a5fa; border-radius: 8px;";
+    prompt.innerHTML = `
+      <label for="emailCode">📧 Verify your email / ईमेल पडताळणी</label>
+      <p class="hint" id="emailCodeMessage"></p>
+      <input class="input" id="emailCode" inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="6-digit code" />
+      <div style="display: flex; gap: 10px; flex-wrap: wrap; margin-top: 10px;">
+        <button type="button" class="btn primary" id="emailCodeVerify">Verify & Pay</button>
+        <button type="button" class="btn" id="emailCodeResend">Resend code</button>
+        <button type="button" class="btn" id="emailCodeCancel">Cancel</button>
+      </div>
+    `;
+
+    // Typing the code must not start a new form attempt
+    prompt.addEventListener("input", (e) => e.stopPropagation());
+    submitBtn.parentElement.insertAdjacentElement("afterend", prompt);
+    submitBtn.disabled = true;
+
+    const messageEl = prompt.querySelector("#emailCodeMessage");
+    const codeInput = prompt.querySelector("#emailCode");
+    const verifyBtn = prompt.querySelector("#emailCodeVerify");
+    messageEl.textContent = message;
+    codeInput.focus();
+
+    const close = () => {
+      prompt.remove();
+      submitBtn.disabled = false;
+    };
+
+    const verify = async () => {
+      const code = codeInput.value.trim();
+      if (!/^\d{6}$/.test(code)) {
+        messageEl.textContent = "Please enter the 6-digit code from the email.";
+        return;
+      }
+
+      verifyBtn.disabled = true;
+      try {
+        const res = await fetch(
+          `${BACKEND_BASE_URL}/api/application/${encodeURIComponent(applicationId)}/verify-email`,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ code }),
+          },
+        );
+        const result = await res.json().catch(() => ({}));
+
+        if (res.ok && result.success) {
+          close();
+          resolve();
+          return;
+        }
+
+        messageEl.textContent =
+          result.message || `Verification failed (HTTP ${res.status})`;
+      } catch (error) {
+        messageEl.textContent = "Network error, please try again.";
+      }
+      verifyBtn.disabled = false;
+    };
+
+    verifyBtn.addEventListener("click", verify);
+    codeInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        verify();
+      }
+    });
+
+    prompt
+      .querySelector("#emailCodeResend")
+      .addEventListener("click", async () => {
+        const { result } = await requestEmailCode(applicationId).catch(() => ({
+          result: { message: "Network error, please try again." },
+        }));
+        messageEl.textContent = result.message;
+      });
+
+    prompt.querySelector("#emailCodeCancel").addEventListener("click", () => {
+      close();
+      reject(new Error("Email verification cancelled."));
+    });
+  });
+
+// Resolves once the application's email is verified
+const verifyApplicationEmail = async (applicationId) => {
+  const { status, result } = await requestEmailCode(applicationId);
+
+  if (result.success && result.data.verified) {
+    return;
+  }
+
+  // 429: a code was sent moments ago, so just ask for it
+  if (!result.success && status !== 429) {
+    throw new Error(result.message || `Email verification error ${status}`);
+  }
+
+  hideLoading();
+  await showEmailCodePrompt(
+    applicationId,
+    status === 429
+      ? "We have already emailed you a code. Please enter it below."
+      : result.message,
+  );
+  showLoading();
 };
 
 // Main form submission handler - ✅ Fixed
 if (form) {
+  // Editing the form starts a new attempt
+  form.addEventListener("input", () => {
+    attemptKey = null;
+  });
+
   form.addEventListener("submit", async (e) => {
     e.preventDefault();
     showLoading();
 
+    if (!attemptKey) {
+      attemptKey = generateAttemptKey();
+    }
+
     const formData = new FormData(form);
     console.log("📊 Form data collected:");
 
@@ -142,29 +307,22 @@ if (form) {
       return;
     }
 
-    const applicationId = generateApplicationId();
-    const merchantOrderId = generateMerchantOrderId(); // ✅ Fixed: Use function
-
-    // Prepare application data
-    const applicationData = {
-      applicationId: applicationId,
-      name: formData.get("name"),
-      email: formData.get("email"),
-      phone: formData.get("phone"),
-      dob: formData.get("dob"),
-      gender: formData.get("gender"),
-      category: formData.get("category"),
-      school: formData.get("school"),
-      state: formData.get("state"),
-      district: formData.get("district"),
-      pincode: formData.get("pincode"),
-      address: formData.get("address"),
-      income_amount: parseFloat(formData.get("income_amount")),
-      income_band: formData.get("income_band"),
-      achievements: formData.get("achievements") || "",
-      recommendation: formData.get("recommendation") || "",
-      sop: formData.get("sop"),
-    };
+    // Prepare application data with the documents (the server issues the
+    // application ID). Empty optional file inputs are left out.
+    const applicationData = new FormData();
+    for (const [key, value] of formData.entries()) {
+      if (value instanceof File && value.size === 0) continue;
+      if (key.startsWith("notify_")) continue;
+      applicationData.append(key, value);
+    }
+
+    // Unticked checkboxes aren't part of FormData, so send both explicitly
+    for (const channel of ["sms", "whatsapp"]) {
+      applicationData.append(
+        `notify_${channel}`,
+        formData.has(`notify_${channel}`) ? "yes" : "no",
+      );
+    }
 
     try {
       console.log("📨 Submitting application to server...");
@@ -178,64 +336,58 @@ if (form) {
         `${BACKEND_BASE_URL}/api/application/submit`,
         {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(applicationData),
+          // The browser sets the multipart Content-Type with its boundary
+          headers: {
+            "Idempotency-Key": attemptKey,
+          },
+          body: applicationData,
         },
       );
 
       console.log("📥 Application response status:", applicationRes.status);
 
-      // ✅ IMPROVED VERSION - Replace the application response handling with this:
-      if (!applicationRes.ok) {
-        let errorText;
-        try {
-          const errorJson = await applicationRes.json();
-          errorText = errorJson.message || `HTTP ${applicationRes.status}`;
-        } catch {
-          errorText = await applicationRes.text();
-        }
-        console.error("❌ Server error:", errorText);
-        throw new Error(`Server error ${applicationRes.status}: ${errorText}`);
-      }
-
-      const applicationResult = await applicationRes.json();
+      const applicationResult = await applicationRes.json().catch(() => ({}));
       console.log("📋 Application result:", applicationResult);
 
-      // Handle application-specific responses
-      if (!applicationResult.success) {
-        if (applicationRes.status === 409) {
-          // Duplicate application
-          console.log("⚠️ Duplicate application detected");
-          const continuePayment = confirm(
-            "You have already submitted an application with this email or phone number. " +
-              "Do you want to continue with payment for your existing application?",
-          );
+      let applicationId;
 
-          if (!continuePayment) {
-            hideLoading();
-            showMessage(
-              "Application cancelled. Please contact support if you need help.",
-              false,
-            );
-            return;
-          }
-        } else {
-          throw new Error(
-            applicationResult.message || "Failed to submit application",
+      if (
+        applicationRes.status === 409 &&
+        applicationResult.data?.applicationId
+      ) {
+        // Duplicate application that hasn't been paid for yet
+        console.log("⚠️ Duplicate application detected");
+        const continuePayment = confirm(
+          "You have already submitted an application with this email or phone number. " +
+            "Do you want to continue with payment for your existing application?",
+        );
+
+        if (!continuePayment) {
+          hideLoading();
+          showMessage(
+            "Application cancelled. Please contact support if you need help.",
+            false,
           );
+          return;
         }
+
+        applicationId = applicationResult.data.applicationId;
+      } else if (!applicationRes.ok || !applicationResult.success) {
+        const errorText =
+          applicationResult.message || `HTTP ${applicationRes.status}`;
+        console.error("❌ Server error:", errorText);
+        throw new Error(`Server error ${applicationRes.status}: ${errorText}`);
       } else {
         console.log("✅ New application submitted successfully");
+        applicationId = applicationResult.data.applicationId;
       }
 
-      // Step 2: Initiate payment
+      // Step 2: Confirm the email address with the emailed code
+      await verifyApplicationEmail(applicationId);
+
+      // Step 3: Initiate payment (the server charges the cycle's fee)
       const paymentData = {
         applicationId: applicationId,
-        merchantOrderId: merchantOrderId,
-        amount: 99,
-        name: formData.get("name"),
-        email: formData.get("email"),
-        phone: formData.get("phone"),
       };
 
       console.log("💳 Initiating payment with data:", paymentData);
@@ -244,7 +396,10 @@ if (form) {
         `${BACKEND_BASE_URL}/api/payment/initiate`,
         {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
+          headers: {
+            "Content-Type": "application/json",
+            "Idempotency-Key": attemptKey,
+          },
           body: JSON.stringify(paymentData),
         },
       );
@@ -262,9 +417,12 @@ if (form) {
         throw new Error(paymentResult.message || "Failed to initiate payment");
       }
 
-      // Store for tracking
-      localStorage.setItem("applicationId", applicationId);
-      localStorage.setItem("merchantOrderId", merchantOrderId);
+      // Store the server-issued IDs for tracking
+      localStorage.setItem("applicationId", paymentResult.data.applicationId);
+      localStorage.setItem(
+        "merchantOrderId",
+        paymentResult.data.merchantOrderId,
+      );
 
       // Redirect to PhonePe payment page
       if (
@@ -343,9 +501,10 @@ window.addEventListener("load", async () => {
               ${applicationId !== "APP_ID_NOT_FOUND" ? `<p><strong>Application ID:</strong> ${applicationId}</p>` : `<p><strong>Note:</strong> Check your email for Application ID</p>`}
               <p><strong>Payment Method:</strong> PhonePe</p>
               <p><strong>Status:</strong> Completed ✅</p>
-              <p><strong>Amount Paid:</strong> ₹99</p>
+              <p><strong>Amount Paid:</strong> ₹${data.data.amount / 100}</p>
               <p style="margin-top: 20px;">You will receive a confirmation email with your application details shortly.</p>
-              <p>Our team will review your application and announce results on our Instagram <a href="https://instagram.com/naukrivalaa" target="_blank" style="color: #60a5fa;">@naukrivalaa</a></p>
+              <p>Our team will review your application. Once results are published you can check yours on our <a href="results.html" style="color: #60a5fa;">results page</a> with your Application ID and date of birth.</p>
+              <p>You can follow your application any time on the <a href="track.html" style="color: #60a5fa;">tracking page</a> using your email or mobile number.</p>
               <a href="/" style="display: inline-block; margin-top: 20px; padding: 12px 24px; background: #4ade80; color: #0a0f1f; text-decoration: none; border-radius: 8px; font-weight: 600;">Apply Again</a>
             </div>
           `;
@@ -371,6 +530,34 @@ window.addEventListener("load", async () => {
   }
 });
 
+// Disable the form when no application cycle is open
+const checkCycleOpen = async () => {
+  if (!form || !submitBtn) return;
+
+  try {
+    const res = await fetch(`${BACKEND_BASE_URL}/api/cycles/current`);
+    const result = await res.json();
+
+    if (result.success && !result.data.open) {
+      submitBtn.disabled = true;
+      submitBtn.innerText = "Applications Closed";
+
+      const opensAt = result.data.cycle?.opensAt;
+      showMessage(
+        opensAt
+          ? `Applications are closed. Next cycle opens on ${new Date(opensAt).toLocaleDateString("en-IN")}.`
+          : "Applications are closed right now.",
+        true,
+      );
+    }
+  } catch (error) {
+    // The server still enforces the window - don't block the form on a network hiccup
+    console.warn("⚠️ Could not check application cycle:", error);
+  }
+};
+
+checkCycleOpen();
+
 // Auto-format phone number input
 const phoneInput = document.getElementById("phone");
 if (phoneInput) {
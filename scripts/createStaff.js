@@ -0,0 +1,69 @@
+// scripts/createStaff.js
+// Create (or reset the password of) a staff account - used to bootstrap the
+// first admin, after which accounts can be managed from /api/admin/staff
+const mongoose = require("mongoose");
+const readline = require("readline");
+const {
+  Staff,
+  STAFF_ROLES,
+  hashPassword,
+  validatePassword,
+} = require("../server");
+
+function askPassword() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question("Password (min 10 characters): ", (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [email, name, role] = process.argv.slice(2);
+
+  if (!email || !name || !STAFF_ROLES.includes(role)) {
+    console.log("Usage: node scripts/createStaff.js <email> <name> <role>");
+    console.log(`  role - one of: ${STAFF_ROLES.join(", ")}`);
+    console.log("  The password is read from STAFF_PASSWORD or prompted for");
+    process.exit(1);
+  }
+
+  const password = process.env.STAFF_PASSWORD || (await askPassword());
+  if (!validatePassword(password)) {
+    console.error("❌ Password must be at least 10 characters");
+    process.exit(1);
+  }
+
+  try {
+    const staff = await Staff.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      {
+        email,
+        name,
+        role,
+        active: true,
+        passwordHash: hashPassword(password),
+        updatedAt: new Date(),
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true },
+    );
+
+    console.log(`✅ Staff account ready: ${staff.email} (${staff.role})`);
+  } catch (error) {
+    console.error("❌ Failed to create staff account:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+if (require.main === module) {
+  main();
+}
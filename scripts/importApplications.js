@@ -0,0 +1,118 @@
+// scripts/importApplications.js
+// Import paper application forms (e.g. from a school camp) from a CSV file.
+// Runs as a dry run unless --commit is given; see importApplications in
+// server.js for the columns and checks.
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const {
+  getCycleCode,
+  parseImportCsv,
+  importApplications,
+  csvRow,
+} = require("../server");
+
+function parseArgs(argv) {
+  const args = { commit: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--commit") args.commit = true;
+    else if (arg === "--cycle") args.cycleCode = argv[++i];
+    else if (arg === "--batch") args.batch = argv[++i];
+    else if (arg === "--report") args.report = argv[++i];
+    else if (!args.file) args.file = arg;
+  }
+  return args;
+}
+
+function usage() {
+  console.log(
+    "Usage: node scripts/importApplications.js <file.csv> [--commit] [--cycle YYYYMM] [--batch label] [--report errors.csv]",
+  );
+  console.log("  --commit - create the applications (default: dry run)");
+  console.log(
+    "  --cycle  - cycle to import into (defaults to the current one)",
+  );
+  console.log("  --batch  - label stored on each application, e.g. the camp");
+  console.log("  --report - also write the per-row report to a CSV file");
+  process.exit(1);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cycleCode = args.cycleCode || getCycleCode();
+
+  if (!args.file || !/^\d{6}$/.test(cycleCode)) usage();
+
+  try {
+    const records = parseImportCsv(fs.readFileSync(args.file));
+    console.log(
+      `📥 ${args.commit ? "Importing" : "Checking (dry run)"} ${records.length} rows into cycle ${cycleCode}...`,
+    );
+
+    const result = await importApplications(records, {
+      cycleCode,
+      dryRun: !args.commit,
+      batch: args.batch || path.basename(args.file),
+      by: "import script",
+      context: {
+        actorType: "system",
+        reason: `Import script: ${path.basename(args.file)}`,
+      },
+    });
+
+    for (const row of result.rows) {
+      if (row.errors.length) {
+        console.log(`❌ Row ${row.row} (${row.name || "no name"}):`);
+        for (const error of row.errors) console.log(`   - ${error}`);
+      } else if (row.applicationId) {
+        console.log(`✅ Row ${row.row}: ${row.applicationId} ${row.name}`);
+      }
+    }
+
+    if (args.report) {
+      const lines = [
+        ["row", "name", "email", "phone", "applicationId", "errors"],
+      ]
+        .concat(
+          result.rows.map((row) => [
+            row.row,
+            row.name,
+            row.email,
+            row.phone,
+            row.applicationId,
+            row.errors.join("; "),
+          ]),
+        )
+        .map(csvRow);
+      fs.writeFileSync(args.report, `${lines.join("\r\n")}\r\n`);
+      console.log(`📝 Report written to ${args.report}`);
+    }
+
+    if (result.error) {
+      console.log(`❌ ${result.error}`);
+      process.exitCode = 1;
+    } else if (result.failed) {
+      console.log(
+        `⚠️ ${result.failed} of ${result.total} rows have errors; nothing was imported`,
+      );
+      process.exitCode = 1;
+    } else if (args.commit) {
+      console.log(`✅ Imported ${result.imported} applications`);
+    } else {
+      console.log(
+        `✅ All ${result.total} rows are valid. Run again with --commit to import them`,
+      );
+    }
+  } catch (error) {
+    console.error("❌ Import failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,32 @@
+// scripts/recomputeScores.js
+// Re-score every paid application in a cycle after its weights change
+const mongoose = require("mongoose");
+const { recomputeScores, getCycleCode } = require("../server");
+
+async function main() {
+  const cycleCode = process.argv[2] || getCycleCode();
+
+  if (!/^\d{6}$/.test(cycleCode)) {
+    console.log("Usage: node scripts/recomputeScores.js [YYYYMM]");
+    console.log("  YYYYMM - cycle to re-score (defaults to the current cycle)");
+    process.exit(1);
+  }
+
+  try {
+    console.log(`🧮 Recomputing scores for cycle ${cycleCode}...`);
+    const result = await recomputeScores(cycleCode);
+
+    console.log(`⚖️ Weights: ${JSON.stringify(result.weights)}`);
+    console.log(`✅ Re-scored ${result.count} applications`);
+  } catch (error) {
+    console.error("❌ Score recomputation failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+if (require.main === module) {
+  main();
+}
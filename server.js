@@ -3,10 +3,18 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const rateLimit = require("express-rate-limit");
 const validator = require("validator");
-const axios = require("axios");
 const path = require("path");
-const { Resend } = require("resend");
+const crypto = require("crypto");
+const multer = require("multer");
+const ExcelJS = require("exceljs");
+const { parse: parseCsv } = require("csv-parse/sync");
 require("dotenv").config();
+const paymentProvider = require("./providers");
+const documentStorage = require("./storage");
+const notifications = require("./notifications");
+const scoring = require("./scoring");
+const receipt = require("./receipt");
+const encryption = require("./encryption");
 
 const app = express();
 
@@ -25,46 +33,220 @@ app.use(
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 
+// Every request gets an ID (a well-formed X-Request-Id from the caller is
+// kept) so audit entries can be traced back to it
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && /^[\w.-]{1,100}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
 // Rate Limiting
+const isStaffRoute = (req) =>
+  req.path.startsWith("/api/admin/") || req.path.startsWith("/api/staff/");
+
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
+  skip: isStaffRoute,
   message: "Too many requests from this IP, please try again later.",
 });
 
+// Staff screens (reviews, exports) make many requests, often from several
+// people behind one office IP
+const staffLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.STAFF_RATE_LIMIT, 10) || 2000,
+  skip: (req) => !isStaffRoute(req),
+  message: {
+    success: false,
+    message: "Too many requests, please try again later.",
+  },
+});
+
 const paymentLimiter = rateLimit({
   windowMs: 5 * 60 * 1000,
   max: 10,
   message: "Too many payment requests, please try again later.",
 });
 
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: "Too many login attempts, please try again later.",
+  },
+});
+
+// Result lookups take a date of birth, so guessing must stay slow
+const resultLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: {
+    success: false,
+    message: "Too many result lookups, please try again later.",
+  },
+});
+
+// Every status check also calls PhonePe; the status page polls every 3s
+const paymentStatusLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000,
+  max: 60,
+  message: {
+    success: false,
+    message: "Too many status checks, please try again later.",
+  },
+});
+
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: "Too many verification attempts, please try again later.",
+  },
+});
+
+// Verification emails per application, whichever IP asks for them
+const emailOtpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.params.applicationId,
+  message: {
+    success: false,
+    message:
+      "Too many codes requested for this application, please try again later.",
+  },
+});
+
 app.use(generalLimiter);
+app.use(staffLimiter);
+
+// PhonePe orders expire this many seconds after creation
+const PAYMENT_EXPIRE_AFTER_SECONDS = 1800;
+
+// How long a stored response is replayed for the same Idempotency-Key
+const IDEMPOTENCY_TTL_HOURS =
+  parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+// Staff sessions expire after this many hours
+const STAFF_SESSION_HOURS = parseInt(process.env.STAFF_SESSION_HOURS, 10) || 12;
 
-// PhonePe V2 Configuration
-const PHONEPE_CONFIG = {
-  clientId: process.env.PHONEPE_CLIENT_ID,
-  clientVersion: process.env.PHONEPE_CLIENT_VERSION,
-  clientSecret: process.env.PHONEPE_CLIENT_SECRET,
-  merchantId: process.env.PHONEPE_MERCHANT_ID,
-  saltKey: process.env.PHONEPE_SALT_KEY,
-  saltIndex: process.env.PHONEPE_SALT_INDEX || "1",
-  env: process.env.PHONEPE_ENV || "PROD",
+const STAFF_ROLES = ["admin", "reviewer", "finance"];
+
+// One-time codes emailed to applicants
+const OTP_CONFIG = {
+  digits: 6,
+  expiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES, 10) || 10,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+  // Minimum gap before another code is sent to the same contact
+  resendSeconds: parseInt(process.env.OTP_RESEND_SECONDS, 10) || 60,
 };
 
-// PhonePe V2 URLs
-const PHONEPE_URLS = {
-  UAT: {
-    token: "https://api-preprod.phonepe.com/apis/pg-sandbox/v1/oauth/token",
-    payment: "https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/pay",
-    status: "https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/order",
-  },
-  PROD: {
-    token: "https://api.phonepe.com/apis/identity-manager/v1/oauth/token",
-    payment: "https://api.phonepe.com/apis/pg/checkout/v2/pay",
-    status: "https://api.phonepe.com/apis/pg/checkout/v2/order",
+// Applicant portal sessions expire after this many hours
+const APPLICANT_SESSION_HOURS =
+  parseInt(process.env.APPLICANT_SESSION_HOURS, 10) || 2;
+
+// Monthly application cycles (days of the month, IST)
+const CYCLE_CONFIG = {
+  openDay: 1,
+  closeDay: 28,
+  resultDay: 29,
+  fee: parseInt(process.env.APPLICATION_FEE, 10) || 99, // in rupees
+  schedulerIntervalMinutes:
+    parseInt(process.env.CYCLE_SCHEDULER_INTERVAL_MINUTES, 10) || 5,
+  // Scholarships awarded per category unless the cycle overrides it
+  awardsPerCategory: parseInt(process.env.AWARDS_PER_CATEGORY, 10) || 1,
+};
+
+const APPLICATION_CATEGORIES = [
+  "5वी–7वी",
+  "8वी–12वी",
+  "ITI",
+  "Diploma",
+  "Engineering",
+];
+
+// Supporting documents uploaded with the application form
+const DOCUMENT_CONFIG = {
+  maxFileSizeMB: parseInt(process.env.DOCUMENT_MAX_SIZE_MB, 10) || 5,
+  // Form field -> how many files and whether the form must include it
+  types: {
+    marksheet: { label: "Marksheet", maxCount: 1, required: true },
+    income_certificate: {
+      label: "Income certificate",
+      maxCount: 1,
+      required: true,
+    },
+    id_proof: { label: "ID proof", maxCount: 1, required: true },
+    achievement_proof: {
+      label: "Achievement certificate",
+      maxCount: 3,
+      required: false,
+    },
   },
 };
 
+// Accepted file formats, checked against the file's own leading bytes
+// rather than the browser-supplied MIME type
+const DOCUMENT_FORMATS = [
+  { contentType: "application/pdf", extension: ".pdf", magic: "25504446" },
+  { contentType: "image/jpeg", extension: ".jpg", magic: "ffd8ff" },
+  { contentType: "image/png", extension: ".png", magic: "89504e47" },
+];
+
+// Background reconciliation of payments nobody came back to check
+const RECONCILE_CONFIG = {
+  intervalMinutes: parseInt(process.env.RECONCILE_INTERVAL_MINUTES, 10) || 15,
+  minAgeMinutes: parseInt(process.env.RECONCILE_MIN_AGE_MINUTES, 10) || 10,
+  batchSize: parseInt(process.env.RECONCILE_BATCH_SIZE, 10) || 100,
+  enabled: process.env.RECONCILE_ENABLED !== "false",
+};
+
+// Outgoing notifications are stored in the outbox and retried with
+// exponential backoff (baseDelaySeconds, doubled after each failure)
+const OUTBOX_CONFIG = {
+  intervalSeconds: parseInt(process.env.OUTBOX_INTERVAL_SECONDS, 10) || 60,
+  maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 8,
+  baseDelaySeconds: parseInt(process.env.OUTBOX_RETRY_DELAY_SECONDS, 10) || 60,
+  batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 20,
+  // A message left in "sending" this long (e.g. the server restarted
+  // mid-send) is picked up again
+  lockMinutes: 5,
+};
+
+// Scholarship payouts to selected applicants
+const PAYOUT_CONFIG = {
+  amount: parseInt(process.env.SCHOLARSHIP_AMOUNT, 10) || 5000, // in rupees
+};
+
+// Paid applications are shared out among reviewers (see assignReviewers)
+const REVIEW_CONFIG = {
+  reviewersPerApplication:
+    parseInt(process.env.REVIEWERS_PER_APPLICATION, 10) || 2,
+  // Reviewers more than this far apart (0-10 scale) on any criterion send
+  // the application to an adjudicator
+  disagreementThreshold:
+    parseFloat(process.env.REVIEW_DISAGREEMENT_THRESHOLD) || 3,
+};
+
+// Bulk import of paper forms (admin upload; the script has no row limit)
+const IMPORT_CONFIG = {
+  maxFileSizeMB: 2,
+  maxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000,
+};
+
+// QR codes on receipts link to <base>/verify.html?code=<receiptCode>
+const RECEIPT_VERIFY_BASE =
+  process.env.FRONTEND_URL ||
+  process.env.SITE_URL ||
+  "https://www.naukrivalaafoundation.com";
+
 // MongoDB connection (SIMPLIFIED - FIXED)
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
@@ -79,6 +261,12 @@ db.on("error", (error) => {
 db.once("open", () => {
   console.log("✅ Connected to MongoDB");
   fixDatabaseIndexes();
+  // Scripts require this file for its models - only the server runs jobs
+  if (require.main === module) {
+    startReconciliationJob();
+    startCycleScheduler();
+    startOutboxWorker();
+  }
 });
 db.on("disconnected", () => {
   console.log("📡 MongoDB disconnected. Attempting to reconnect...");
@@ -109,7 +297,14 @@ const applicationSchema = new mongoose.Schema({
   sop: { type: String, required: true },
   status: {
     type: String,
-    enum: ["pending", "paid", "approved", "rejected"],
+    enum: [
+      "pending",
+      "paid",
+      "shortlisted",
+      "approved",
+      "rejected",
+      "selected",
+    ],
     default: "pending",
   },
   paymentStatus: {
@@ -118,25 +313,469 @@ const applicationSchema = new mongoose.Schema({
     default: "pending",
   },
   paymentOrderId: { type: String },
+  emailVerifiedAt: { type: Date }, // set once the emailed code is confirmed
+  // Language of the emails and messages sent to the applicant
+  language: {
+    type: String,
+    enum: notifications.LOCALES,
+    default: notifications.DEFAULT_LOCALE,
+  },
+  // Channels the applicant wants updates on (see notifications/)
+  contactPreferences: {
+    email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: true },
+    whatsapp: { type: Boolean, default: false },
+  },
+  merchantOrderId: { type: String }, // latest order ID issued for payment
+  cycleCode: { type: String }, // Cycle.code the application belongs to
+  // "import" for paper forms entered in bulk; importBatch labels the upload
+  // they came in with (e.g. the camp)
+  source: { type: String, enum: ["online", "import"], default: "online" },
+  importBatch: { type: String },
+  // Fee collected in person instead of through PhonePe (imports only)
+  offlinePayment: {
+    amount: { type: Number }, // in paise
+    reference: { type: String }, // receipt book number, if any
+    recordedBy: { type: String },
+    recordedAt: { type: Date },
+  },
+  // Where the reviews stand (see refreshReviewOutcome); reviewSpread is
+  // the largest gap between the reviewers' ratings
+  reviewState: {
+    type: String,
+    enum: ["unassigned", "in_review", "adjudication", "complete"],
+  },
+  reviewSpread: { type: Number },
+  // Final ratings (0-10) for the rated selection criteria: the reviewers'
+  // average, or the adjudicator's ratings when they disagreed
+  reviewerRatings: {
+    achievements: { type: Number, min: 0, max: 10 },
+    sop: { type: Number, min: 0, max: 10 },
+    recommendation: { type: Number, min: 0, max: 10 },
+    ratedBy: { type: String },
+    ratedAt: { type: Date },
+  },
+  score: { type: Number, default: 0 },
+  scoreBreakdown: { type: Object },
+  reviewNote: { type: String },
+  reviewedBy: { type: String },
+  reviewedAt: { type: Date },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
 const paymentSchema = new mongoose.Schema({
   applicationId: { type: String, required: true },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Application",
+    required: true,
+  },
   merchantOrderId: { type: String, required: true, unique: true },
   phonePeOrderId: { type: String },
   amount: { type: Number, required: true },
   status: {
     type: String,
-    enum: ["initiated", "pending", "completed", "failed"],
+    enum: ["initiated", "pending", "completed", "failed", "expired"],
     default: "initiated",
   },
   phonePeResponse: { type: Object },
+  callbackReceived: { type: Boolean, default: false },
+  confirmationEmailSent: { type: Boolean, default: false },
+  refundStatus: {
+    type: String,
+    enum: ["none", "refund_pending", "refunded", "refund_failed"],
+    default: "none",
+  },
+  refundedAmount: { type: Number, default: 0 },
+  // Pending + completed refunds; reserved atomically before each refund so
+  // concurrent requests can't refund more than was paid
+  refundReservedAmount: { type: Number, default: 0 },
+  // Set once the payment completes; receiptCode is the receipt number and
+  // the key of its verification link
+  paidAt: { type: Date },
+  receiptCode: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Stored responses for requests sent with an Idempotency-Key header
+const idempotencyRecordSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  scope: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["in_progress", "completed"],
+    default: "in_progress",
+  },
+  responseStatus: { type: Number },
+  responseBody: { type: Object },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const staffSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true },
+  name: { type: String, required: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: STAFF_ROLES, required: true },
+  active: { type: Boolean, default: true },
+  // Declared conflicts of interest: no applications from these schools or
+  // districts are assigned to this reviewer
+  conflicts: {
+    schools: [{ type: String }],
+    districts: [{ type: String }],
+  },
+  // Settles applications whose reviewers disagree
+  adjudicator: { type: Boolean, default: false },
+  lastLoginAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Only a hash of the session token is stored
+const staffSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  staff: { type: mongoose.Schema.Types.ObjectId, ref: "Staff", required: true },
+  ip: { type: String },
+  userAgent: { type: String },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// A one-time code. Only a salted hash of the code is stored.
+const otpCodeSchema = new mongoose.Schema({
+  purpose: { type: String, required: true },
+  contact: { type: String, required: true }, // normalised email or phone
+  email: { type: String, required: true }, // where the code was sent
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  consumedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Verified applicant: may see the applications made with this email/phone
+const applicantSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  contact: { type: String, required: true },
+  ip: { type: String },
+  userAgent: { type: String },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const loginAttemptSchema = new mongoose.Schema({
+  email: { type: String },
+  success: { type: Boolean, required: true },
+  reason: { type: String },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One monthly application cycle. Dates are stored as UTC instants that
+// correspond to the configured IST days.
+const cycleSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true }, // YYYYMM
+  opensAt: { type: Date, required: true },
+  closesAt: { type: Date, required: true },
+  resultAt: { type: Date, required: true },
+  fee: { type: Number, required: true }, // in rupees
+  awardsPerCategory: { type: Map, of: Number },
+  status: {
+    type: String,
+    enum: ["upcoming", "open", "closed", "results_published"],
+    default: "upcoming",
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Ranked merit list for a cycle. Drafts can be regenerated; once frozen the
+// ranking is final, and publishing makes the results public.
+const meritListSchema = new mongoose.Schema({
+  cycleCode: { type: String, required: true, unique: true },
+  status: {
+    type: String,
+    enum: ["draft", "frozen", "published"],
+    default: "draft",
+  },
+  entries: [
+    {
+      _id: false,
+      applicationId: { type: String, required: true },
+      application: { type: mongoose.Schema.Types.ObjectId, ref: "Application" },
+      name: String,
+      category: String,
+      district: String,
+      state: String,
+      score: Number,
+      rank: Number, // within the category
+      selected: { type: Boolean, default: false },
+    },
+  ],
+  awardsPerCategory: { type: Object },
+  generatedAt: { type: Date },
+  generatedBy: { type: String },
+  frozenAt: { type: Date },
+  frozenBy: { type: String },
+  publishedAt: { type: Date },
+  publishedBy: { type: String },
+});
+
+// Selection criteria weights for one monthly cycle
+const scoringWeightsSchema = new mongoose.Schema({
+  cycleCode: { type: String, required: true, unique: true },
+  income: { type: Number, required: true },
+  achievements: { type: Number, required: true },
+  sop: { type: Number, required: true },
+  recommendation: { type: Number, required: true },
+  updatedBy: { type: String },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Atomic sequences for server-issued IDs
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+// One uploaded file. The bytes live in document storage under storageKey.
+const documentSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Application",
+    required: true,
+  },
+  applicationId: { type: String, required: true },
+  type: {
+    type: String,
+    enum: Object.keys(DOCUMENT_CONFIG.types),
+    required: true,
+  },
+  originalName: { type: String },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true }, // bytes
+  sha256: { type: String, required: true },
+  storage: { type: String, required: true },
+  storageKey: { type: String, required: true, unique: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const refundSchema = new mongoose.Schema({
+  merchantRefundId: { type: String, required: true, unique: true },
+  merchantOrderId: { type: String, required: true },
+  applicationId: { type: String, required: true },
+  amount: { type: Number, required: true }, // in paise
+  reason: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["refund_pending", "refunded", "refund_failed"],
+    default: "refund_pending",
+  },
+  phonePeRefundId: { type: String },
+  phonePeResponse: { type: Object },
+  requestedBy: { type: String },
+  refundEmailSent: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// One outgoing message on one channel. The rendered message is kept so
+// retries send exactly what was queued; the document doubles as the
+// delivery log.
+const outboxMessageSchema = new mongoose.Schema({
+  event: { type: String, required: true },
+  channel: { type: String, enum: notifications.CHANNELS, required: true },
+  to: { type: String, required: true },
+  applicationId: { type: String },
+  locale: { type: String },
+  subject: { type: String },
+  html: { type: String },
+  text: { type: String },
+  status: {
+    type: String,
+    enum: ["queued", "sending", "sent", "failed"],
+    default: "queued",
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: OUTBOX_CONFIG.maxAttempts },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String },
+  provider: { type: String },
+  providerMessageId: { type: String },
+  // Body is cleared once the message is sent or given up (verification codes)
+  redact: { type: Boolean, default: false },
+  history: [
+    {
+      _id: false,
+      at: Date,
+      status: String,
+      provider: String,
+      error: String,
+    },
+  ],
+  createdBy: { type: String }, // staff email for manual re-sends
+  attachments: [
+    { _id: false, filename: String, contentType: String, content: Buffer },
+  ],
+  // Messages sharing a dedupeKey are only sent once per channel
+  dedupeKey: { type: String },
+  sentAt: { type: Date },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+// Scholarship payout for one selected application. Bank / UPI details are
+// stored encrypted (see encryption.js); payoutDetailsMask is what staff
+// and the applicant see.
+const payoutSchema = new mongoose.Schema({
+  applicationId: { type: String, required: true, unique: true },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Application",
+    required: true,
+  },
+  cycleCode: { type: String, required: true },
+  amount: { type: Number, required: true }, // in paise
+  method: { type: String, enum: ["bank", "upi"] },
+  payoutDetails: { type: String }, // encrypted JSON
+  payoutDetailsMask: { type: String },
+  detailsUpdatedAt: { type: Date },
+  detailsUpdatedBy: { type: String }, // "applicant" or staff email
+  status: {
+    type: String,
+    enum: ["pending", "processing", "paid", "failed"],
+    default: "pending",
+  },
+  batchId: { type: String },
+  utr: { type: String }, // bank transfer reference once paid
+  failureReason: { type: String },
+  paidAt: { type: Date },
+  history: [
+    {
+      _id: false,
+      at: Date,
+      status: String,
+      by: String,
+      note: String,
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// A set of payouts sent to the bank together
+const payoutBatchSchema = new mongoose.Schema({
+  batchId: { type: String, required: true, unique: true },
+  cycleCode: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["processing", "completed"],
+    default: "processing",
+  },
+  count: { type: Number, default: 0 },
+  totalAmount: { type: Number, default: 0 }, // in paise
+  createdBy: { type: String },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One staff member's rubric ratings for one application. Adjudicators are
+// added when the reviewers disagree (see refreshReviewOutcome).
+const reviewSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Application",
+    required: true,
+  },
+  applicationId: { type: String, required: true },
+  cycleCode: { type: String },
+  reviewer: { type: String, required: true }, // staff email
+  role: {
+    type: String,
+    enum: ["reviewer", "adjudicator"],
+    default: "reviewer",
+  },
+  status: {
+    type: String,
+    enum: ["assigned", "submitted", "recused"],
+    default: "assigned",
+  },
+  ratings: {
+    achievements: { type: Number, min: 0, max: 10 },
+    sop: { type: Number, min: 0, max: 10 },
+    recommendation: { type: Number, min: 0, max: 10 },
+  },
+  comment: { type: String },
+  recusalReason: { type: String },
+  assignedAt: { type: Date, default: Date.now },
+  submittedAt: { type: Date },
+});
+
+// Append-only history of status changes on applications and payments (see
+// recordAudit). The model refuses updates and deletes.
+const auditLogSchema = new mongoose.Schema({
+  entity: { type: String, enum: ["application", "payment"], required: true },
+  entityId: { type: String, required: true }, // applicationId / merchantOrderId
+  applicationId: { type: String, required: true },
+  field: { type: String, required: true },
+  from: { type: String },
+  to: { type: String },
+  actorType: {
+    type: String,
+    enum: ["system", "phonepe", "staff", "applicant"],
+    required: true,
+  },
+  actor: { type: String }, // staff email
+  reason: { type: String },
+  requestId: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Audit log entries cannot be changed");
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: true, query: true },
+  function () {
+    throw new Error("Audit log entries cannot be changed");
+  },
+);
+
+const reconciliationReportSchema = new mongoose.Schema({
+  startedAt: { type: Date, required: true },
+  finishedAt: { type: Date },
+  checked: { type: Number, default: 0 },
+  completed: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  pending: { type: Number, default: 0 },
+  expired: { type: Number, default: 0 },
+  errored: { type: Number, default: 0 },
+  results: [
+    {
+      _id: false,
+      merchantOrderId: String,
+      applicationId: String,
+      previousStatus: String,
+      newStatus: String,
+      orderState: String,
+      error: String,
+    },
+  ],
+});
+
 async function fixDatabaseIndexes() {
   try {
     // Check if payments collection exists first
@@ -188,104 +827,91 @@ applicationSchema.index({ email: 1, phone: 1 });
 applicationSchema.index({ status: 1, createdAt: -1 });
 applicationSchema.index({ paymentStatus: 1, createdAt: -1 });
 applicationSchema.index({ applicationId: 1 }, { unique: true });
+applicationSchema.index({ cycleCode: 1, score: -1 });
+applicationSchema.index({ category: 1, state: 1, district: 1 });
 
 paymentSchema.index({ merchantOrderId: 1 }, { unique: true });
 paymentSchema.index({ applicationId: 1, status: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ application: 1, createdAt: -1 });
+paymentSchema.index({ receiptCode: 1 }, { unique: true, sparse: true });
 
-const Application = mongoose.model("Application", applicationSchema);
-const Payment = mongoose.model("Payment", paymentSchema);
-
-// ✅ Resend Configuration
-let resend = null;
-
-if (process.env.RESEND_API_KEY) {
-  resend = new Resend(process.env.RESEND_API_KEY);
-  console.log("✅ Resend API configured successfully!");
-} else {
-  console.warn("⚠️ Resend API key not configured");
-}
-
-// Token cache
-let tokenCache = {
-  token: null,
-  expiresAt: 0,
-};
+staffSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+applicantSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+otpCodeSchema.index({ purpose: 1, contact: 1, createdAt: -1 });
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: -1 });
 
-// OAuth V2 Token Generation
-async function generateAuthToken() {
-  try {
-    // Check cache first
-    if (tokenCache.token && Date.now() < tokenCache.expiresAt - 60000) {
-      console.log("🔄 Using cached token");
-      return tokenCache.token;
-    }
+idempotencyRecordSchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyRecordSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: IDEMPOTENCY_TTL_HOURS * 60 * 60 },
+);
 
-    const tokenEndpoint = PHONEPE_URLS[PHONEPE_CONFIG.env].token;
+documentSchema.index({ application: 1, type: 1 });
+documentSchema.index({ applicationId: 1 });
 
-    // ✅ Create Basic Authentication Header
-    const credentials = `${PHONEPE_CONFIG.clientId}:${PHONEPE_CONFIG.clientSecret}`;
-    const basicAuth = Buffer.from(credentials).toString("base64");
+refundSchema.index({ merchantOrderId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
 
-    // Prepare request body
-    const requestBodyJson = {
-      client_version: PHONEPE_CONFIG.clientVersion,
-      grant_type: "client_credentials",
-      client_id: PHONEPE_CONFIG.clientId,
-      client_secret: PHONEPE_CONFIG.clientSecret,
-    };
+payoutSchema.index({ cycleCode: 1, status: 1 });
+payoutSchema.index({ batchId: 1 });
+payoutBatchSchema.index({ cycleCode: 1, createdAt: -1 });
 
-    const requestBody = new URLSearchParams(requestBodyJson).toString();
+auditLogSchema.index({ applicationId: 1, createdAt: 1 });
+auditLogSchema.index({ requestId: 1 });
 
-    console.log("🔑 Requesting token from:", tokenEndpoint);
+reviewSchema.index({ applicationId: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewer: 1, status: 1, assignedAt: 1 });
+reviewSchema.index({ cycleCode: 1, reviewer: 1 });
 
-    // Make token request with Basic Auth
-    const response = await axios.post(tokenEndpoint, requestBody, {
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        Authorization: `Basic ${basicAuth}`, // ← THIS IS THE FIX!
-      },
-      timeout: 30000,
-    });
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ applicationId: 1, createdAt: -1 });
+outboxMessageSchema.index(
+  { dedupeKey: 1, channel: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } },
+);
 
-    // Validate and cache token
-    if (response.data && response.data.access_token) {
-      tokenCache.token = response.data.access_token;
-      tokenCache.expiresAt = response.data.expires_at * 1000;
+const Application = mongoose.model("Application", applicationSchema);
+const Payment = mongoose.model("Payment", paymentSchema);
+const IdempotencyRecord = mongoose.model(
+  "IdempotencyRecord",
+  idempotencyRecordSchema,
+);
+const Cycle = mongoose.model("Cycle", cycleSchema);
+const MeritList = mongoose.model("MeritList", meritListSchema);
+const Staff = mongoose.model("Staff", staffSchema);
+const StaffSession = mongoose.model("StaffSession", staffSessionSchema);
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+const OtpCode = mongoose.model("OtpCode", otpCodeSchema);
+const ApplicantSession = mongoose.model(
+  "ApplicantSession",
+  applicantSessionSchema,
+);
+const ScoringWeights = mongoose.model("ScoringWeights", scoringWeightsSchema);
+const Counter = mongoose.model("Counter", counterSchema);
+const Refund = mongoose.model("Refund", refundSchema);
+const Document = mongoose.model("Document", documentSchema);
+const OutboxMessage = mongoose.model("OutboxMessage", outboxMessageSchema);
+const Payout = mongoose.model("Payout", payoutSchema);
+const PayoutBatch = mongoose.model("PayoutBatch", payoutBatchSchema);
+const Review = mongoose.model("Review", reviewSchema);
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+const ReconciliationReport = mongoose.model(
+  "ReconciliationReport",
+  reconciliationReportSchema,
+);
 
-      console.log("✅ Token generated successfully");
-      console.log(
-        "⏰ Expires:",
-        new Date(tokenCache.expiresAt).toLocaleString(),
-      );
+// Utility functions
 
-      return response.data.access_token;
-    } else {
-      throw new Error(
-        "Invalid token response: " + JSON.stringify(response.data),
-      );
-    }
-  } catch (error) {
-    console.error("❌ Token generation failed:");
-    console.error("  URL:", PHONEPE_URLS[PHONEPE_CONFIG.env]?.token);
-    console.error("  Status:", error.response?.status);
-    console.error("  Data:", JSON.stringify(error.response?.data));
-    console.error("  Message:", error.message);
-
-    // Clear cache on error
-    tokenCache.token = null;
-    tokenCache.expiresAt = 0;
-
-    throw new Error(
-      `OAuth token generation failed: ${error.response?.data?.message || error.message}`,
-    );
-  }
-}
+// Passwords are used exactly as typed, as in scripts/createStaff.js
+const UNSANITIZED_FIELDS = ["password"];
 
-// Utility functions
 function sanitizeInput(req, res, next) {
   if (req.body) {
     for (let key in req.body) {
+      if (UNSANITIZED_FIELDS.includes(key)) continue;
       if (typeof req.body[key] === "string") {
         req.body[key] = req.body[key].trim();
         // Handle empty strings
@@ -298,801 +924,5766 @@ function sanitizeInput(req, res, next) {
   next();
 }
 
-function validateEmail(email) {
-  return validator.isEmail(email);
-}
+// Take the key for this request. Resolves to false when the response has
+// already been sent (a replay, or a conflict with another request).
+async function claimIdempotencyKey(
+  res,
+  { scope, key, requestHash, replaySeconds },
+) {
+  try {
+    await IdempotencyRecord.create({ key, scope, requestHash });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
 
-function validatePhoneNumber(phone) {
-  const phoneRegex = /^[6-9]\d{9}$/;
-  return phoneRegex.test(phone);
-}
+  const existing = await IdempotencyRecord.findOne({ scope, key });
+  if (!existing) {
+    // Expired between the insert and the lookup - just process it
+    return true;
+  }
 
-function validateApplicationData(data) {
-  const errors = [];
+  if (existing.requestHash !== requestHash) {
+    res.status(422).json({
+      success: false,
+      message: "Idempotency-Key was already used with a different request",
+    });
+    return false;
+  }
 
-  // ✅ Add null/undefined checks before validation
-  if (!data.name?.trim()) errors.push("Name is required");
-  if (!data.email?.trim()) errors.push("Email is required");
-  if (data.email && !validateEmail(data.email.trim()))
-    errors.push("Invalid email format");
-  if (!data.phone?.trim()) errors.push("Phone number is required");
-  if (data.phone && !validatePhoneNumber(data.phone.trim()))
-    errors.push("Invalid Indian phone number");
-  if (!data.dob) errors.push("Date of birth is required");
-  if (!data.gender?.trim()) errors.push("Gender is required");
-  if (!data.category?.trim()) errors.push("Class/Course is required");
-  if (!data.school?.trim()) errors.push("School/College name is required");
-  if (!data.state?.trim()) errors.push("State is required");
-  if (!data.district?.trim()) errors.push("District is required");
-  if (!data.pincode?.trim()) errors.push("Pincode is required");
-  if (!data.address?.trim()) errors.push("Address is required");
-  if (!data.income_amount) errors.push("Family income is required");
-  if (!data.income_band?.trim()) errors.push("Income band is required");
-  if (!data.achievements?.trim()) errors.push("Achievements are required");
-  if (!data.recommendation?.trim()) errors.push("Recommendation is required");
-  if (!data.sop?.trim()) errors.push("Statement of purpose is required");
-  if (data.sop && data.sop.length < 50)
-    errors.push("Statement of purpose must be at least 50 characters");
+  const inProgress = () => {
+    res.status(409).json({
+      success: false,
+      message: "A request with this Idempotency-Key is still in progress",
+    });
+    return false;
+  };
 
-  return errors;
+  if (existing.status !== "completed") {
+    return inProgress();
+  }
+
+  const stale =
+    replaySeconds &&
+    Date.now() - existing.createdAt.getTime() > replaySeconds * 1000;
+  if (!stale) {
+    res.set("Idempotent-Replayed", "true");
+    res.status(existing.responseStatus).json(existing.responseBody);
+    return false;
+  }
+
+  // Too old to replay - take the key over and run the request again
+  const claimed = await IdempotencyRecord.findOneAndUpdate(
+    { _id: existing._id, status: "completed" },
+    {
+      status: "in_progress",
+      createdAt: new Date(),
+      $unset: { responseStatus: 1, responseBody: 1 },
+    },
+  );
+  return claimed ? true : inProgress();
 }
 
-async function checkDuplicatePayment(applicationId, timeWindowMinutes = 30) {
-  const cutoffTime = new Date(Date.now() - timeWindowMinutes * 60 * 1000);
+// Replay the stored response when a request repeats its Idempotency-Key.
+// Only successful responses are stored; with `replaySeconds` they are
+// replayed for that long and the request runs again after it.
+function idempotency(scope, { replaySeconds } = {}) {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (!key) {
+      return next();
+    }
 
-  const existingPayment = await Payment.findOne({
-    applicationId,
-    status: { $in: ["completed"] },
-    createdAt: { $gte: cutoffTime },
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: "Idempotency-Key is too long",
+      });
+    }
+
+    const hash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(req.body || {}));
+    // Uploaded files count as part of the request too
+    for (const file of uploadedFiles(req)) {
+      hash.update(`${file.fieldname}:`).update(file.buffer);
+    }
+    const requestHash = hash.digest("hex");
+
+    try {
+      const claimed = await claimIdempotencyKey(res, {
+        scope,
+        key,
+        requestHash,
+        replaySeconds,
+      });
+      if (!claimed) return;
+    } catch (error) {
+      return next(error);
+    }
+
+    const logFailure = (error) =>
+      console.error("❌ Failed to store idempotent response:", error.message);
+
+    // Capture successful responses so repeats get exactly the same answer
+    let stored = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        stored = true;
+        IdempotencyRecord.updateOne(
+          { scope, key },
+          {
+            status: "completed",
+            responseStatus: res.statusCode,
+            responseBody: body,
+          },
+        ).catch(logFailure);
+      }
+      return originalJson(body);
+    };
+
+    // Anything else - an error response, next(error), a dropped connection -
+    // frees the key so the client can retry for real
+    res.on("close", () => {
+      if (!stored) {
+        IdempotencyRecord.deleteOne({
+          scope,
+          key,
+          status: "in_progress",
+        }).catch(logFailure);
+      }
+    });
+
+    next();
+  };
+}
+
+// Files stay in memory until the application is validated, so nothing is
+// written to storage for rejected submissions
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: DOCUMENT_CONFIG.maxFileSizeMB * 1024 * 1024,
+    files: Object.values(DOCUMENT_CONFIG.types).reduce(
+      (sum, t) => sum + t.maxCount,
+      0,
+    ),
+  },
+}).fields(
+  Object.entries(DOCUMENT_CONFIG.types).map(([name, t]) => ({
+    name,
+    maxCount: t.maxCount,
+  })),
+);
+
+// Multer errors become the usual 400 JSON response
+function uploadDocuments(req, res, next) {
+  documentUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (!(error instanceof multer.MulterError)) {
+      return next(error);
+    }
+
+    const messages = {
+      LIMIT_FILE_SIZE: `Each document must be smaller than ${DOCUMENT_CONFIG.maxFileSizeMB} MB`,
+      LIMIT_FILE_COUNT: "Too many documents uploaded",
+      LIMIT_UNEXPECTED_FILE: `Unexpected document field: ${error.field}`,
+    };
+
+    res.status(400).json({
+      success: false,
+      message: messages[error.code] || error.message,
+    });
   });
+}
 
-  return existingPayment;
+function uploadedFiles(req) {
+  return Object.values(req.files || {}).flat();
 }
 
-async function sendConfirmationEmail(application, orderId) {
-  if (!resend) {
-    console.log("❌ Resend not configured, skipping confirmation email");
-    return false;
+function detectDocumentFormat(buffer) {
+  const head = buffer.subarray(0, 4).toString("hex");
+  return DOCUMENT_FORMATS.find((format) => head.startsWith(format.magic));
+}
+
+// Required types must be uploaded whatever the content type - a JSON
+// submission can't carry files, so it fails here too
+function validateDocuments(req) {
+  const errors = [];
+  const files = req.files || {};
+
+  for (const [type, config] of Object.entries(DOCUMENT_CONFIG.types)) {
+    if (config.required && !files[type]?.length) {
+      errors.push(`${config.label} is required`);
+    }
+  }
+
+  for (const file of uploadedFiles(req)) {
+    if (!detectDocumentFormat(file.buffer)) {
+      errors.push(
+        `${DOCUMENT_CONFIG.types[file.fieldname].label} must be a PDF, JPG or PNG file`,
+      );
+    }
   }
 
+  return errors;
+}
+
+// Write every uploaded file to storage. If any write fails, the ones already
+// written are removed again before the error is passed on.
+async function storeDocuments(req, application) {
+  const stored = [];
+
   try {
-    const { data, error } = await resend.emails.send({
-      from: `${process.env.EMAIL_FROM_NAME || "Naukrivalaa Foundation"} <${process.env.EMAIL_FROM || "onboarding@resend.dev"}>`,
-      to: [application.email],
-      reply_to: process.env.REPLY_TO_EMAIL || "naukrivalaafoundation@gmail.com",
-      subject:
-        "🎉 Scholarship Application Successfully Submitted - Naukrivalaa Foundation",
-      html: `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Scholarship Application Confirmed</title>
-            <style>
-                body {
-                    font-family: 'Georgia', 'Times New Roman', serif;
-                    line-height: 1.8;
-                    color: #333;
-                    background: #f8f9fa;
-                    margin: 0;
-                    padding: 0;
-                }
-                .email-container {
-                    max-width: 650px;
-                    margin: 0 auto;
-                    background: white;
-                    border-radius: 15px;
-                    overflow: hidden;
-                    box-shadow: 0 10px 30px rgba(0,0,0,0.1);
-                }
-                .header {
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    color: white;
-                    padding: 40px 30px;
-                    text-align: center;
-                    position: relative;
-                }
-                .header::after {
-                    content: '';
-                    position: absolute;
-                    bottom: -10px;
-                    left: 0;
-                    right: 0;
-                    height: 20px;
-                    background: white;
-                    border-radius: 50% 50% 0 0 / 20px 20px 0 0;
-                }
-                .logo {
-                    font-size: 32px;
-                    font-weight: bold;
-                    margin-bottom: 10px;
-                }
-                .header-subtitle {
-                    font-size: 16px;
-                    opacity: 0.9;
-                    margin: 0;
-                }
-                .content {
-                    padding: 40px 30px;
-                }
-                .success-banner {
-                    background: linear-gradient(45deg, #28a745, #20c997);
-                    color: white;
-                    padding: 20px;
-                    border-radius: 10px;
-                    text-align: center;
-                    margin-bottom: 30px;
-                    font-size: 18px;
-                    font-weight: bold;
-                }
-                .greeting {
-                    font-size: 18px;
-                    color: #2c3e50;
-                    margin-bottom: 20px;
-                }
-                .details-section {
-                    background: #f8f9fa;
-                    border: 2px solid #e9ecef;
-                    border-radius: 12px;
-                    padding: 25px;
-                    margin: 25px 0;
-                }
-                .details-title {
-                    color: #495057;
-                    font-size: 20px;
-                    font-weight: bold;
-                    margin-bottom: 15px;
-                    border-bottom: 2px solid #667eea;
-                    padding-bottom: 8px;
-                }
-                .details-grid {
-                    display: grid;
-                    grid-template-columns: 1fr 1fr;
-                    gap: 15px;
-                    margin-top: 15px;
-                }
-                .detail-item {
-                    background: white;
-                    padding: 12px;
-                    border-radius: 8px;
-                    border-left: 4px solid #667eea;
-                }
-                .detail-label {
-                    font-weight: bold;
-                    color: #6c757d;
-                    font-size: 12px;
-                    text-transform: uppercase;
-                    letter-spacing: 0.5px;
-                }
-                .detail-value {
-                    color: #2c3e50;
-                    font-size: 14px;
-                    margin-top: 2px;
-                }
-                .next-steps {
-                    background: linear-gradient(135deg, #ffeaa7, #fdcb6e);
-                    border-radius: 12px;
-                    padding: 25px;
-                    margin: 25px 0;
-                }
-                .next-steps h3 {
-                    color: #d63031;
-                    margin-top: 0;
-                    font-size: 18px;
-                }
-                .timeline {
-                    list-style: none;
-                    padding: 0;
-                }
-                .timeline li {
-                    padding: 10px 0;
-                    border-left: 3px solid #667eea;
-                    padding-left: 20px;
-                    margin: 10px 0;
-                    position: relative;
-                }
-                .timeline li::before {
-                    content: '✓';
-                    position: absolute;
-                    left: -8px;
-                    background: #28a745;
-                    color: white;
-                    width: 16px;
-                    height: 16px;
-                    border-radius: 50%;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    font-size: 10px;
-                    font-weight: bold;
-                }
-                .contact-section {
-                    background: #e9ecef;
-                    border-radius: 12px;
-                    padding: 25px;
-                    text-align: center;
-                    margin: 25px 0;
-                }
-                .contact-title {
-                    color: #495057;
-                    font-size: 18px;
-                    margin-bottom: 15px;
-                }
-                .contact-details {
-                    display: flex;
-                    justify-content: space-around;
-                    flex-wrap: wrap;
-                    gap: 15px;
-                }
-                .contact-item {
-                    background: white;
-                    padding: 15px;
-                    border-radius: 8px;
-                    flex: 1;
-                    min-width: 200px;
-                }
-                .footer {
-                    background: #2c3e50;
-                    color: white;
-                    padding: 30px;
-                    text-align: center;
-                }
-                .footer-logo {
-                    font-size: 24px;
-                    font-weight: bold;
-                    margin-bottom: 10px;
-                }
-                .footer-text {
-                    opacity: 0.8;
-                    line-height: 1.6;
-                }
-                .social-links {
-                    margin: 20px 0;
-                }
-                .social-links a {
-                    color: white;
-                    text-decoration: none;
-                    margin: 0 10px;
-                    font-size: 16px;
-                }
-                @media (max-width: 600px) {
-                    .details-grid { grid-template-columns: 1fr; }
-                    .contact-details { flex-direction: column; }
-                    .header, .content { padding: 20px; }
-                }
-            </style>
-        </head>
-        <body>
-            <div class="email-container">
-                <!-- Header -->
-                <div class="header">
-                    <div class="logo">🎓 NAUKRIVALAA FOUNDATION</div>
-                    <p class="header-subtitle">Empowering Education • Building Futures • Creating Opportunities</p>
-                </div>
-
-                <!-- Content -->
-                <div class="content">
-                    <div class="success-banner">
-                        🎉 CONGRATULATIONS! Your Scholarship Application Has Been Successfully Submitted!
-                    </div>
-
-                    <div class="greeting">
-                        Dear <strong>${application.name}</strong>,
-                    </div>
-
-                    <p>We are thrilled to inform you that your scholarship application has been <strong>successfully received and processed</strong>. Your payment of <strong>₹99</strong> has been confirmed, and your application is now officially under review by our scholarship committee.</p>
-
-                    <!-- Application Details -->
-                    <div class="details-section">
-                        <div class="details-title">📋 Your Application Summary</div>
-                        <div class="details-grid">
-                            <div class="detail-item">
-                                <div class="detail-label">Application ID</div>
-                                <div class="detail-value"><strong>${application.applicationId}</strong></div>
-                            </div>
-                            <div class="detail-item">
-                                <div class="detail-label">Payment Order ID</div>
-                                <div class="detail-value">${orderId}</div>
-                            </div>
-                            <div class="detail-item">
-                                <div class="detail-label">Category Applied</div>
-                                <div class="detail-value">${application.category}</div>
-                            </div>
-                            <div class="detail-item">
-                                <div class="detail-label">Institution</div>
-                                <div class="detail-value">${application.school}</div>
-                            </div>
-                            <div class="detail-item">
-                                <div class="detail-label">State</div>
-                                <div class="detail-value">${application.state}</div>
-                            </div>
-                            <div class="detail-item">
-                                <div class="detail-label">Application Fee</div>
-                                <div class="detail-value">₹99 (Paid ✓)</div>
-                            </div>
-                            <div class="detail-item">
-                                <div class="detail-label">Submission Date</div>
-                                <div class="detail-value">${new Date(
-                                  application.createdAt,
-                                ).toLocaleDateString("en-IN", {
-                                  year: "numeric",
-                                  month: "long",
-                                  day: "numeric",
-                                })}</div>
-                            </div>
-                            <div class="detail-item">
-                                <div class="detail-label">Status</div>
-                                <div class="detail-value"><strong style="color: #28a745;">Under Review</strong></div>
-                            </div>
-                        </div>
-                    </div>
-
-                    <!-- Next Steps -->
-                    <div class="next-steps">
-                        <h3>📅 What Happens Next? - Complete Timeline</h3>
-                        <ul class="timeline">
-                            <li><strong>Week 1:</strong> Application verification and document review</li>
-                            <li><strong>Week 2-3:</strong> Academic performance evaluation and eligibility assessment</li>
-                            <li><strong>Week 4:</strong> Financial need analysis and background verification</li>
-                            <li><strong>Week 5-6:</strong> Scholarship committee review and candidate shortlisting</li>
-                            <li><strong>Week 7:</strong> Final selection and award notifications</li>
-                            <li><strong>Week 8:</strong> Scholarship disbursement process begins for selected candidates</li>
-                        </ul>
-                        <p><strong>📞 Important:</strong> Selected candidates will be contacted via phone call first, followed by official email notification.</p>
-                    </div>
-
-                    <!-- Important Information -->
-                    <div class="details-section">
-                        <div class="details-title">⚠️ Important Information</div>
-                        <ul style="margin: 0; padding-left: 20px;">
-                            <li>Keep this email for your records - you may need your Application ID for future reference</li>
-                            <li>Check your email regularly (including spam/junk folders) for updates</li>
-                            <li>Ensure your phone number <strong>${application.phone}</strong> is active and reachable</li>
-                            <li>Do not apply multiple times - duplicate applications will be rejected</li>
-                            <li>Scholarship results will be announced within 6-8 weeks from submission</li>
-                            <li>For any queries, contact us using the details provided below</li>
-                        </ul>
-                    </div>
-
-                    <!-- Scholarship Information -->
-                    <div class="details-section">
-                        <div class="details-title">🏆 About Naukrivalaa Foundation Scholarship</div>
-                        <p>The Naukrivalaa Foundation Scholarship Program aims to support deserving students from various educational backgrounds. Our mission is to remove financial barriers and empower students to achieve their academic dreams.</p>
-                        <p><strong>Scholarship Benefits May Include:</strong></p>
-                        <ul>
-                            <li>💰 Financial assistance for tuition fees</li>
-                            <li>📚 Educational material allowance</li>
-                            <li>💻 Technology support for online learning</li>
-                            <li>👨‍🏫 Mentorship and career guidance</li>
-                            <li>🌟 Recognition and certification</li>
-                        </ul>
-                    </div>
-                </div>
-
-                <!-- Contact Section -->
-                <div class="contact-section">
-                    <div class="contact-title">📞 Need Help? We're Here for You!</div>
-                    <div class="contact-details">
-                        <div class="contact-item">
-                            <strong>📧 Email Support</strong><br>
-                            contact@naukrivalaafoundation.com<br>
-                            <em>Response within 24 hours</em>
-                        </div>
-                        <div class="contact-item">
-                            <strong>🌐 Website</strong><br>
-                            www.naukrivalaafoundation.com<br>
-                            <em>Visit for updates & FAQs</em>
-                        </div>
-                        <div class="contact-item">
-                            <strong>📱 Phone Support</strong><br>
-                            +91-9356625834<br>
-                            <em>WhatsApp only</em>
-                        </div>
-                    </div>
-                </div>
-
-                <!-- Footer -->
-                <div class="footer">
-                    <div class="footer-logo">🎓 NAUKRIVALAA FOUNDATION</div>
-                    <div class="footer-text">
-                        <p><strong>Empowering Dreams • Building Futures • Creating Impact</strong></p>
-                        <p>Thank you for trusting us with your educational journey. We believe in your potential and are committed to supporting your academic success.</p>
-                        
-                        <div class="social-links">
-                            <a href="#">📘 Facebook</a> |
-                            <a href="#">📷 Instagram</a> |
-                            <a href="#">🐦 Twitter</a> |
-                            <a href="#">💼 LinkedIn</a>
-                        </div>
-                        
-                        <p style="font-size: 12px; opacity: 0.7; margin-top: 20px;">
-                            This is an automated confirmation email. Please do not reply to this email.<br>
-                            For inquiries, please contact: contact@naukrivalaafoundation.com<br>
-                            © ${new Date().getFullYear()} Naukrivalaa Foundation. All rights reserved.
-                        </p>
-                    </div>
-                </div>
-            </div>
-        </body>
-        </html>
-      `,
-    });
+    for (const file of uploadedFiles(req)) {
+      const format = detectDocumentFormat(file.buffer);
+      const storageKey = [
+        application.cycleCode,
+        application.applicationId,
+        `${file.fieldname}-${crypto.randomBytes(8).toString("hex")}${format.extension}`,
+      ].join("/");
+
+      await documentStorage.put(storageKey, file.buffer, {
+        contentType: format.contentType,
+      });
 
-    if (error) {
-      console.error("❌ Failed to send confirmation email:", error);
-      return false;
+      stored.push({
+        application: application._id,
+        applicationId: application.applicationId,
+        type: file.fieldname,
+        originalName: file.originalname.slice(0, 255),
+        contentType: format.contentType,
+        size: file.size,
+        sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+        storage: documentStorage.name,
+        storageKey,
+      });
     }
 
-    console.log("✅ Confirmation email sent successfully via Resend!", data);
-    return true;
+    return await Document.insertMany(stored);
   } catch (error) {
-    console.error("❌ Failed to send confirmation email:", error.message);
+    await Promise.all(
+      stored.map((doc) => documentStorage.remove(doc.storageKey)),
+    ).catch(() => {});
+    throw error;
+  }
+}
+
+// Passwords are stored as scrypt$<salt>$<hash>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = (passwordHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
     return false;
   }
+
+  const expected = Buffer.from(hash, "hex");
+  const received = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(received, expected);
 }
 
-// Routes
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
 
-// Health Check
-app.get("/health", async (req, res) => {
-  const health = {
-    status: "OK",
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || "development",
-    database:
-      mongoose.connection.readyState === 1 ? "connected" : "disconnected",
-    email: process.env.RESEND_API_KEY ? "Resend configured" : "not configured",
-    phonepe: PHONEPE_CONFIG.clientId ? "configured" : "not configured",
-    phonePeEnv: PHONEPE_CONFIG.env,
-    method: "OAuth V2 (Working)",
-    client_id: PHONEPE_CONFIG.clientId,
+// Staff-only endpoints. Admins may call everything; other roles only the
+// endpoints that list them.
+function requireStaff(...roles) {
+  return async (req, res, next) => {
+    try {
+      const header = req.get("Authorization") || "";
+      const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          message: "Unauthorized",
+        });
+      }
+
+      const session = await StaffSession.findOne({
+        tokenHash: hashSessionToken(token),
+        expiresAt: { $gt: new Date() },
+      }).populate("staff");
+
+      if (!session || !session.staff || !session.staff.active) {
+        return res.status(401).json({
+          success: false,
+          message: "Unauthorized",
+        });
+      }
+
+      const staff = session.staff;
+      if (staff.role !== "admin" && !roles.includes(staff.role)) {
+        return res.status(403).json({
+          success: false,
+          message: "You don't have permission to do this",
+        });
+      }
+
+      req.staff = staff;
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
-  res.json(health);
-});
+}
 
-// Application Submission
-app.post(
-  "/api/application/submit",
-  generalLimiter,
-  sanitizeInput,
+// Applicants identify themselves by email or 10-digit mobile number
+function normalizeContact(value) {
+  const contact = String(value || "")
+    .trim()
+    .toLowerCase();
+
+  if (contact.includes("@")) {
+    return validateEmail(contact) ? { type: "email", contact } : null;
+  }
+
+  const phone = contact.replace(/\D/g, "").slice(-10);
+  return validatePhoneNumber(phone) ? { type: "phone", contact: phone } : null;
+}
+
+function contactFilter(contact) {
+  return contact.includes("@")
+    ? { email: new RegExp(`^${escapeRegex(contact)}$`, "i") }
+    : { phone: contact };
+}
+
+// "p***@gmail.com" - enough for applicants to recognise their own address
+function maskEmail(email) {
+  const [local, domain] = String(email || "").split("@");
+  return `${local.slice(0, 1)}***@${domain || ""}`;
+}
+
+function hashOtp(code, salt) {
+  return crypto.createHash("sha256").update(`${salt}:${code}`).digest("hex");
+}
+
+// Email a fresh code, replacing any earlier unused one. Returns
+// { sent: false, throttled: true } when a code went out too recently.
+async function issueOtp(purpose, contact, email) {
+  const recent = await OtpCode.findOne({
+    purpose,
+    contact,
+    consumedAt: { $exists: false },
+    createdAt: { $gt: new Date(Date.now() - OTP_CONFIG.resendSeconds * 1000) },
+  });
+  if (recent) {
+    return { sent: false, throttled: true };
+  }
+
+  await OtpCode.deleteMany({
+    purpose,
+    contact,
+    consumedAt: { $exists: false },
+  });
+
+  const code = crypto
+    .randomInt(0, 10 ** OTP_CONFIG.digits)
+    .toString()
+    .padStart(OTP_CONFIG.digits, "0");
+  const salt = crypto.randomBytes(16).toString("hex");
+
+  await OtpCode.create({
+    purpose,
+    contact,
+    email,
+    codeHash: `${salt}$${hashOtp(code, salt)}`,
+    expiresAt: new Date(Date.now() + OTP_CONFIG.expiryMinutes * 60 * 1000),
+  });
+
+  // Verification codes ignore contact preferences - they are always emailed.
+  // They are not retried: the applicant asks for a new code instead.
+  const { delivered } = await queueNotification(
+    "verification_code",
+    { email },
+    { code, expiryMinutes: OTP_CONFIG.expiryMinutes },
+    {
+      channels: ["email"],
+      ignorePreferences: true,
+      retry: false,
+      redact: true,
+    },
+  );
+  return { sent: delivered, throttled: false };
+}
+
+// Check a code against the latest one issued. Each guess counts towards
+// maxAttempts - the attempt is taken atomically before the code is
+// compared, so parallel guesses can't exceed it. A correct code can only be
+// used once.
+async function verifyOtp(purpose, contact, code) {
+  const live = {
+    purpose,
+    contact,
+    consumedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  };
+  const otp = await OtpCode.findOneAndUpdate(
+    { ...live, attempts: { $lt: OTP_CONFIG.maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true },
+  );
+
+  if (!otp) {
+    return (await OtpCode.exists(live))
+      ? { ok: false, reason: "too_many_attempts" }
+      : { ok: false, reason: "expired" };
+  }
+
+  const [salt, expected] = otp.codeHash.split("$");
+  const received = hashOtp(String(code || "").trim(), salt);
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(received, "hex"),
+    Buffer.from(expected, "hex"),
+  );
+
+  if (!matches) {
+    return {
+      ok: false,
+      reason: "invalid",
+      attemptsLeft: OTP_CONFIG.maxAttempts - otp.attempts,
+    };
+  }
+
+  // Claim it atomically so the same code can't open two sessions
+  const claimed = await OtpCode.findOneAndUpdate(
+    { _id: otp._id, consumedAt: { $exists: false } },
+    { consumedAt: new Date() },
+  );
+
+  return claimed ? { ok: true, otp } : { ok: false, reason: "expired" };
+}
+
+const OTP_FAILURE_MESSAGES = {
+  expired: "The code has expired. Please request a new one.",
+  too_many_attempts: "Too many wrong attempts. Please request a new code.",
+  invalid: "Incorrect code",
+};
+
+// Applicant portal endpoints. Sets req.applicant = { contact }.
+async function requireApplicant(req, res, next) {
+  try {
+    const header = req.get("Authorization") || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+
+    const session = token
+      ? await ApplicantSession.findOne({
+          tokenHash: hashSessionToken(token),
+          expiresAt: { $gt: new Date() },
+        })
+      : null;
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Please verify your email or phone number again",
+      });
+    }
+
+    req.applicant = { contact: session.contact, tokenHash: session.tokenHash };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function validatePassword(password) {
+  return typeof password === "string" && password.length >= 10;
+}
+
+function validateEmail(email) {
+  return validator.isEmail(email);
+}
+
+function validatePhoneNumber(phone) {
+  const phoneRegex = /^[6-9]\d{9}$/;
+  return phoneRegex.test(phone);
+}
+
+function validateApplicationData(data) {
+  const errors = [];
+
+  // ✅ Add null/undefined checks before validation
+  if (!data.name?.trim()) errors.push("Name is required");
+  if (!data.email?.trim()) errors.push("Email is required");
+  if (data.email && !validateEmail(data.email.trim()))
+    errors.push("Invalid email format");
+  if (!data.phone?.trim()) errors.push("Phone number is required");
+  if (data.phone && !validatePhoneNumber(data.phone.trim()))
+    errors.push("Invalid Indian phone number");
+  if (!data.dob) errors.push("Date of birth is required");
+  if (!data.gender?.trim()) errors.push("Gender is required");
+  if (!data.category?.trim()) errors.push("Class/Course is required");
+  if (!data.school?.trim()) errors.push("School/College name is required");
+  if (!data.state?.trim()) errors.push("State is required");
+  if (!data.district?.trim()) errors.push("District is required");
+  if (!data.pincode?.trim()) errors.push("Pincode is required");
+  if (!data.address?.trim()) errors.push("Address is required");
+  if (!data.income_amount) errors.push("Family income is required");
+  if (!data.income_band?.trim()) errors.push("Income band is required");
+  if (!data.achievements?.trim()) errors.push("Achievements are required");
+  if (!data.recommendation?.trim()) errors.push("Recommendation is required");
+  if (!data.sop?.trim()) errors.push("Statement of purpose is required");
+  if (data.sop && data.sop.length < 50)
+    errors.push("Statement of purpose must be at least 50 characters");
+  if (data.language && !notifications.LOCALES.includes(data.language))
+    errors.push("Invalid message language");
+
+  return errors;
+}
+
+// notify_sms / notify_whatsapp arrive as "yes"/"no" from the form or as
+// booleans from JSON clients. Email stays on: it carries the confirmation
+// and verification codes.
+function parseContactPreferences(body) {
+  const preferences = { ...notifications.DEFAULT_PREFERENCES, email: true };
+  for (const channel of ["sms", "whatsapp"]) {
+    const value = body[`notify_${channel}`];
+    if (value !== undefined) {
+      preferences[channel] = value === true || value === "yes";
+    }
+  }
+  return preferences;
+}
+
+// Monthly cycle code (YYYYMM) in IST, e.g. "202510"
+function getCycleCode(date = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: "Asia/Kolkata",
+    year: "numeric",
+    month: "2-digit",
+  }).formatToParts(date);
+  const year = parts.find((p) => p.type === "year").value;
+  const month = parts.find((p) => p.type === "month").value;
+  return `${year}${month}`;
+}
+
+// UTC instant for a wall-clock time in IST (UTC+05:30)
+function istDate(
+  year,
+  month,
+  day,
+  hours = 0,
+  minutes = 0,
+  seconds = 0,
+  ms = 0,
+) {
+  return new Date(
+    Date.UTC(year, month - 1, day, hours, minutes, seconds, ms) -
+      330 * 60 * 1000,
+  );
+}
+
+function cycleDefaults(code) {
+  const year = parseInt(code.slice(0, 4), 10);
+  const month = parseInt(code.slice(4, 6), 10);
+
+  return {
+    code,
+    opensAt: istDate(year, month, CYCLE_CONFIG.openDay),
+    closesAt: istDate(year, month, CYCLE_CONFIG.closeDay, 23, 59, 59, 999),
+    resultAt: istDate(year, month, CYCLE_CONFIG.resultDay),
+    fee: CYCLE_CONFIG.fee,
+  };
+}
+
+function nextCycleCode(code) {
+  const year = parseInt(code.slice(0, 4), 10);
+  const month = parseInt(code.slice(4, 6), 10);
+  return month === 12
+    ? `${year + 1}01`
+    : `${year}${String(month + 1).padStart(2, "0")}`;
+}
+
+// Create the cycle with the default dates if it doesn't exist yet
+async function ensureCycle(code) {
+  return Cycle.findOneAndUpdate(
+    { code },
+    { $setOnInsert: cycleDefaults(code) },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  );
+}
+
+// The cycle accepting applications right now, if any
+async function getOpenCycle(now = new Date()) {
+  return Cycle.findOne({
+    status: "open",
+    opensAt: { $lte: now },
+    closesAt: { $gte: now },
+  });
+}
+
+// Open and close cycles as their dates pass. Only moves cycles forward, so
+// a cycle closed early by an admin stays closed.
+async function runCycleScheduler(now = new Date()) {
+  const currentCode = getCycleCode(now);
+  await ensureCycle(currentCode);
+  await ensureCycle(nextCycleCode(currentCode));
+
+  const opened = await Cycle.updateMany(
+    { status: "upcoming", opensAt: { $lte: now }, closesAt: { $gte: now } },
+    { status: "open", updatedAt: now },
+  );
+  const closed = await Cycle.updateMany(
+    { status: { $in: ["upcoming", "open"] }, closesAt: { $lt: now } },
+    { status: "closed", updatedAt: now },
+  );
+
+  if (opened.modifiedCount > 0) {
+    console.log(`📅 Opened ${opened.modifiedCount} application cycle(s)`);
+  }
+  if (closed.modifiedCount > 0) {
+    console.log(`📅 Closed ${closed.modifiedCount} application cycle(s)`);
+  }
+}
+
+function startCycleScheduler() {
+  const run = () =>
+    runCycleScheduler().catch((error) =>
+      console.error("❌ Cycle scheduler failed:", error.message),
+    );
+
+  run();
+  setInterval(run, CYCLE_CONFIG.schedulerIntervalMinutes * 60 * 1000).unref();
+
+  console.log(
+    `📅 Cycle scheduler running every ${CYCLE_CONFIG.schedulerIntervalMinutes} minutes`,
+  );
+}
+
+// Submission and payment are only allowed while a cycle is open
+async function requireOpenCycle(req, res, next) {
+  try {
+    const cycle = await getOpenCycle();
+
+    if (!cycle) {
+      const upcoming = await Cycle.findOne({
+        status: "upcoming",
+        opensAt: { $gt: new Date() },
+      }).sort({ opensAt: 1 });
+
+      return res.status(403).json({
+        success: false,
+        message: "Applications are closed right now",
+        data: upcoming ? { nextOpensAt: upcoming.opensAt } : undefined,
+      });
+    }
+
+    req.cycle = cycle;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function nextSequence(name) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true },
+  );
+  return counter.seq;
+}
+
+// Application IDs are sequenced per cycle: NF + YYYYMM + 5-digit sequence
+async function issueApplicationId(cycleCode) {
+  const seq = await nextSequence(`application:${cycleCode}`);
+  return `NF${cycleCode}${String(seq).padStart(5, "0")}`;
+}
+
+// Order IDs carry the application ID and payment attempt number for
+// support, plus a random part so they can't be guessed from the sequential
+// application ID
+async function issueMerchantOrderId(applicationId) {
+  const attempt = await nextSequence(`order:${applicationId}`);
+  const random = crypto.randomBytes(8).toString("hex").toUpperCase();
+  return `MO_${applicationId}_${attempt}_${random}`;
+}
+
+// Payout batches are numbered per cycle: PB + YYYYMM + 3-digit sequence
+async function issuePayoutBatchId(cycleCode) {
+  const seq = await nextSequence(`payout-batch:${cycleCode}`);
+  return `PB${cycleCode}${String(seq).padStart(3, "0")}`;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// A real YYYY-MM-DD calendar date (so not 2025-02-30)
+function isDateOnly(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(value);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Mongo filter for the admin application list from query-string filters
+function buildApplicationFilter(query) {
+  const filter = {};
+
+  for (const field of ["status", "paymentStatus", "category", "income_band"]) {
+    if (typeof query[field] === "string" && query[field]) {
+      filter[field] = query[field];
+    }
+  }
+
+  // State and district are typed free-hand on the form
+  for (const field of ["state", "district"]) {
+    if (typeof query[field] === "string" && query[field].trim()) {
+      filter[field] = new RegExp(`^${escapeRegex(query[field].trim())}$`, "i");
+    }
+  }
+
+  if (typeof query.cycleCode === "string" && query.cycleCode) {
+    filter.cycleCode = query.cycleCode;
+  }
+
+  // Submission date range as YYYY-MM-DD (IST), both ends inclusive
+  const createdAt = {};
+  if (isDateOnly(query.from)) {
+    createdAt.$gte = new Date(`${query.from}T00:00:00+05:30`);
+  }
+  if (isDateOnly(query.to)) {
+    createdAt.$lt = new Date(
+      new Date(`${query.to}T00:00:00+05:30`).getTime() + 24 * 60 * 60 * 1000,
+    );
+  }
+  if (Object.keys(createdAt).length) filter.createdAt = createdAt;
+
+  if (typeof query.q === "string" && query.q.trim()) {
+    const search = new RegExp(escapeRegex(query.q.trim()), "i");
+    filter.$or = [
+      { applicationId: search },
+      { name: search },
+      { email: search },
+      { phone: search },
+      { school: search },
+    ];
+  }
+
+  return filter;
+}
+
+// Weights for a cycle, falling back to the published 40/25/25/10
+async function getScoringWeights(cycleCode) {
+  const stored = cycleCode
+    ? await ScoringWeights.findOne({ cycleCode }).lean()
+    : null;
+  if (!stored) {
+    return { ...scoring.DEFAULT_WEIGHTS };
+  }
+
+  return {
+    income: stored.income,
+    achievements: stored.achievements,
+    sop: stored.sop,
+    recommendation: stored.recommendation,
+  };
+}
+
+// Compute and store the score breakdown for one application
+async function scoreApplication(application, weights) {
+  const cycleWeights =
+    weights || (await getScoringWeights(application.cycleCode));
+  const breakdown = scoring.computeScore(
+    application,
+    application.reviewerRatings || {},
+    cycleWeights,
+  );
+
+  await Application.updateOne(
+    { _id: application._id },
+    {
+      score: breakdown.total,
+      scoreBreakdown: breakdown,
+      updatedAt: new Date(),
+    },
+  );
+
+  return breakdown;
+}
+
+// Re-score every paid application in a cycle, e.g. after the weights change
+async function recomputeScores(cycleCode) {
+  const weights = await getScoringWeights(cycleCode);
+  const cursor = Application.find({
+    cycleCode,
+    paymentStatus: "completed",
+  }).cursor();
+
+  let count = 0;
+  for await (const application of cursor) {
+    await scoreApplication(application, weights);
+    count += 1;
+  }
+
+  return { cycleCode, weights, count };
+}
+
+// ===== Audit log =====
+
+const AUDITED_FIELDS = {
+  Application: {
+    entity: "application",
+    key: "applicationId",
+    fields: ["status", "paymentStatus", "reviewState"],
+  },
+  Payment: {
+    entity: "payment",
+    key: "merchantOrderId",
+    fields: ["status", "refundStatus"],
+  },
+};
+
+// Who is behind a change: actorType is "staff" (actor is their email),
+// "applicant", "phonepe" (callback or status check) or "system" (jobs)
+function auditContext(req, actorType, reason) {
+  return {
+    actorType,
+    actor: actorType === "staff" ? req?.staff?.email : undefined,
+    reason,
+    requestId: req?.id,
+  };
+}
+
+// Log every audited field that differs between `before` (null for a new
+// record) and `after`. A failure is logged rather than thrown: the change
+// itself has already been written.
+async function recordAudit(Model, before, after, context) {
+  const { entity, key, fields } = AUDITED_FIELDS[Model.modelName];
+  const entries = fields
+    .filter((field) => (before?.[field] ?? null) !== (after?.[field] ?? null))
+    .map((field) => ({
+      entity,
+      entityId: after[key],
+      applicationId: after.applicationId,
+      field,
+      from: before?.[field] ?? null,
+      to: after[field] ?? null,
+      ...context,
+    }));
+
+  if (!entries.length) return;
+  try {
+    await AuditLog.insertMany(entries);
+  } catch (error) {
+    console.error(
+      `❌ Failed to write audit log for ${entity} ${after[key]}:`,
+      error.message,
+    );
+  }
+}
+
+// findOneAndUpdate that records what it changed. Resolves to the updated
+// document, or null when nothing matched.
+async function auditedUpdate(Model, filter, update, context) {
+  const before = await Model.findOneAndUpdate(filter, update, { new: false });
+  if (!before) return null;
+
+  const after = await Model.findById(before._id);
+  await recordAudit(Model, before, after, context);
+  return after;
+}
+
+// updateMany counterpart of auditedUpdate; resolves to the match count
+async function auditedUpdateMany(Model, filter, update, context) {
+  const { key, fields } = AUDITED_FIELDS[Model.modelName];
+  const projection = [...fields, key, "applicationId"];
+
+  const before = await Model.find(filter).select(projection).lean();
+  const ids = before.map((doc) => doc._id);
+  await Model.updateMany({ _id: { $in: ids } }, update);
+
+  const after = await Model.find({ _id: { $in: ids } })
+    .select(projection)
+    .lean();
+  const afterById = new Map(after.map((doc) => [String(doc._id), doc]));
+  for (const doc of before) {
+    const updated = afterById.get(String(doc._id));
+    if (updated) await recordAudit(Model, doc, updated, context);
+  }
+  return before.length;
+}
+
+// ===== Multi-reviewer scoring =====
+
+function sameText(a, b) {
+  return (
+    typeof a === "string" &&
+    typeof b === "string" &&
+    a.trim().toLowerCase() === b.trim().toLowerCase()
+  );
+}
+
+// Why `staff` may not review `application`, or null when they may
+function conflictReason(staff, application) {
+  if (sameText(staff.email, application.email)) {
+    return "Reviewer is the applicant";
+  }
+  if (
+    (staff.conflicts?.schools || []).some((school) =>
+      sameText(school, application.school),
+    )
+  ) {
+    return `Declared conflict with ${application.school}`;
+  }
+  if (
+    (staff.conflicts?.districts || []).some((district) =>
+      sameText(district, application.district),
+    )
+  ) {
+    return `Declared conflict with ${application.district} district`;
+  }
+  return null;
+}
+
+// Up to `count` staff who can take a `role` review of the application:
+// active, not already on it (recused included) and without a conflict,
+// those with the fewest open reviews first
+async function pickReviewers(application, role, count) {
+  const taken = await Review.distinct("reviewer", {
+    applicationId: application.applicationId,
+  });
+  const candidates = await Staff.find({
+    active: true,
+    email: { $nin: taken },
+    ...(role === "adjudicator"
+      ? { adjudicator: true, role: { $in: ["admin", "reviewer"] } }
+      : { role: "reviewer" }),
+  })
+    .select("email conflicts")
+    .lean();
+
+  const eligible = candidates.filter((s) => !conflictReason(s, application));
+  if (!eligible.length) return [];
+
+  const load = await Review.aggregate([
+    {
+      $match: {
+        status: "assigned",
+        reviewer: { $in: eligible.map((s) => s.email) },
+      },
+    },
+    { $group: { _id: "$reviewer", open: { $sum: 1 } } },
+  ]);
+  const open = new Map(load.map((l) => [l._id, l.open]));
+
+  // Shuffle first so equal loads are shared out at random
+  for (let i = eligible.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [eligible[i], eligible[j]] = [eligible[j], eligible[i]];
+  }
+  return eligible
+    .sort((a, b) => (open.get(a.email) || 0) - (open.get(b.email) || 0))
+    .slice(0, count)
+    .map((s) => s.email);
+}
+
+async function createReviews(application, reviewers, role) {
+  for (const reviewer of reviewers) {
+    try {
+      await Review.create({
+        application: application._id,
+        applicationId: application.applicationId,
+        cycleCode: application.cycleCode,
+        reviewer,
+        role,
+      });
+    } catch (error) {
+      // Assigned by a concurrent call
+      if (error.code !== 11000) throw error;
+    }
+  }
+}
+
+// Rated by a single reviewer before multi-reviewer scoring existed
+function hasLegacyRating(application) {
+  return !application.reviewState && !!application.reviewerRatings?.ratedAt;
+}
+
+// Bring a paid application up to REVIEW_CONFIG.reviewersPerApplication
+// reviewers (fewer if not enough reviewers are free of conflicts). Safe to
+// call again, e.g. after a recusal. Returns the reviewers added.
+async function assignReviewers(application, context) {
+  if (
+    application.paymentStatus !== "completed" ||
+    hasLegacyRating(application)
+  ) {
+    return [];
+  }
+
+  const current = await Review.countDocuments({
+    applicationId: application.applicationId,
+    role: "reviewer",
+    status: { $ne: "recused" },
+  });
+  const needed = REVIEW_CONFIG.reviewersPerApplication - current;
+
+  let added = [];
+  if (needed > 0) {
+    added = await pickReviewers(application, "reviewer", needed);
+    await createReviews(application, added, "reviewer");
+    if (added.length < needed) {
+      console.warn(
+        `⚠️ Only ${current + added.length} of ${REVIEW_CONFIG.reviewersPerApplication} reviewers available for ${application.applicationId}`,
+      );
+    }
+  }
+
+  await refreshReviewOutcome(application, context);
+  return added;
+}
+
+// Work out an application's ratings from its submitted reviews and re-score it:
+// - an adjudicator's ratings, once submitted, are final
+// - otherwise, once every assigned reviewer has submitted, their average
+//   is final unless they are more than disagreementThreshold apart, in
+//   which case an adjudicator is assigned
+// Until then the application has no reviewer ratings. `context` is for
+// the audit log.
+async function refreshReviewOutcome(application, context) {
+  const reviews = await Review.find({
+    applicationId: application.applicationId,
+    status: { $ne: "recused" },
+  }).lean();
+
+  // A legacy single rating stands until reviews are assigned
+  if (!reviews.length && hasLegacyRating(application)) {
+    return { reviewState: undefined, spread: 0, application };
+  }
+
+  const reviewerReviews = reviews.filter((r) => r.role === "reviewer");
+  const submitted = reviewerReviews.filter((r) => r.status === "submitted");
+  const adjudication = reviews.find((r) => r.role === "adjudicator");
+  const spread = scoring.ratingSpread(submitted.map((r) => r.ratings));
+
+  let reviewState;
+  let final = null;
+
+  if (adjudication?.status === "submitted") {
+    reviewState = "complete";
+    final = { ratings: adjudication.ratings, ratedBy: adjudication.reviewer };
+  } else if (!reviewerReviews.length) {
+    reviewState = "unassigned";
+  } else if (submitted.length < reviewerReviews.length) {
+    reviewState = "in_review";
+  } else if (spread > REVIEW_CONFIG.disagreementThreshold) {
+    reviewState = "adjudication";
+    if (!adjudication) {
+      const adjudicators = await pickReviewers(application, "adjudicator", 1);
+      await createReviews(application, adjudicators, "adjudicator");
+      if (!adjudicators.length) {
+        console.warn(
+          `⚠️ No adjudicator available for ${application.applicationId}`,
+        );
+      }
+    }
+  } else {
+    reviewState = "complete";
+    final = {
+      ratings: scoring.averageRatings(submitted.map((r) => r.ratings)),
+      ratedBy: submitted.map((r) => r.reviewer).join(", "),
+    };
+  }
+
+  const update = { reviewState, reviewSpread: spread, updatedAt: new Date() };
+  if (final) {
+    update.reviewerRatings = {
+      ...final.ratings,
+      ratedBy: final.ratedBy,
+      ratedAt: new Date(),
+    };
+  } else if (reviews.length) {
+    update.$unset = { reviewerRatings: 1 };
+  }
+
+  const updated = await auditedUpdate(
+    Application,
+    { _id: application._id },
+    update,
+    context,
+  );
+  // The application may have been deleted while its reviews were open
+  if (!updated) {
+    console.warn(
+      `⚠️ Application ${application.applicationId} no longer exists; review outcome not saved`,
+    );
+    return { reviewState, spread, application: null };
+  }
+  if (updated.paymentStatus === "completed") {
+    await scoreApplication(updated);
+  }
+
+  return { reviewState, spread, application: updated };
+}
+
+// Assign reviewers to every paid application of a cycle that is short of
+// them, e.g. ones paid before any reviewer accounts existed. Applications
+// rated before multi-reviewer scoring keep their single rating.
+async function assignCycleReviewers(cycleCode, context) {
+  const cursor = Application.find({
+    cycleCode,
+    paymentStatus: "completed",
+    $or: [
+      { reviewState: { $in: ["unassigned", "in_review", "adjudication"] } },
+      {
+        reviewState: { $exists: false },
+        "reviewerRatings.ratedAt": { $exists: false },
+      },
+    ],
+  }).cursor();
+
+  let applications = 0;
+  let assignments = 0;
+  for await (const application of cursor) {
+    const added = await assignReviewers(application, context);
+    applications += 1;
+    assignments += added.length;
+  }
+
+  return { cycleCode, applications, assignments };
+}
+
+// Recuse from a review and hand the application to someone else
+async function recuseReview(review, reason, context) {
+  review.status = "recused";
+  review.recusalReason = reason;
+  await review.save();
+
+  const application = await Application.findById(review.application);
+  if (!application) return;
+
+  if (review.role === "adjudicator") {
+    const adjudicators = await pickReviewers(application, "adjudicator", 1);
+    await createReviews(application, adjudicators, "adjudicator");
+    await refreshReviewOutcome(application, context);
+  } else {
+    await assignReviewers(application, context);
+  }
+}
+
+function getAwardsPerCategory(cycle) {
+  const awards = {};
+  for (const category of APPLICATION_CATEGORIES) {
+    const override = cycle?.awardsPerCategory?.get(category);
+    awards[category] =
+      override !== undefined ? override : CYCLE_CONFIG.awardsPerCategory;
+  }
+  return awards;
+}
+
+// Tie-breakers after the total score: lower family income, then the SOP,
+// then achievements ratings, then whoever applied first
+function compareForMerit(a, b) {
+  const components = (app) => app.scoreBreakdown?.components || {};
+
+  return (
+    (b.score || 0) - (a.score || 0) ||
+    (components(b).income?.points || 0) - (components(a).income?.points || 0) ||
+    (components(b).sop?.points || 0) - (components(a).sop?.points || 0) ||
+    (components(b).achievements?.points || 0) -
+      (components(a).achievements?.points || 0) ||
+    new Date(a.createdAt) - new Date(b.createdAt)
+  );
+}
+
+// Rank every paid, non-rejected application of a cycle within its category
+async function buildMeritEntries(cycleCode, awards) {
+  const applications = await Application.find({
+    cycleCode,
+    paymentStatus: "completed",
+    status: { $ne: "rejected" },
+  })
+    .select(
+      "applicationId name category district state score scoreBreakdown createdAt",
+    )
+    .lean();
+
+  const entries = [];
+  for (const category of APPLICATION_CATEGORIES) {
+    const ranked = applications
+      .filter((app) => app.category === category)
+      .sort(compareForMerit);
+
+    ranked.forEach((app, index) => {
+      entries.push({
+        applicationId: app.applicationId,
+        application: app._id,
+        name: app.name,
+        category,
+        district: app.district,
+        state: app.state,
+        score: app.score || 0,
+        rank: index + 1,
+        selected: index < (awards[category] || 0),
+      });
+    });
+  }
+
+  return entries;
+}
+
+// Same calendar date, ignoring time zones (dob is stored as UTC midnight)
+function isSameDate(storedDate, isoDate) {
+  return (
+    storedDate instanceof Date &&
+    !isNaN(storedDate.getTime()) &&
+    storedDate.toISOString().slice(0, 10) === isoDate
+  );
+}
+
+async function checkDuplicatePayment(applicationId, timeWindowMinutes = 30) {
+  const cutoffTime = new Date(Date.now() - timeWindowMinutes * 60 * 1000);
+
+  const existingPayment = await Payment.findOne({
+    applicationId,
+    status: { $in: ["completed"] },
+    createdAt: { $gte: cutoffTime },
+  });
+
+  return existingPayment;
+}
+
+async function releaseRefundReservation(refund) {
+  await Payment.updateOne(
+    { merchantOrderId: refund.merchantOrderId },
+    { $inc: { refundReservedAmount: -refund.amount } },
+  );
+}
+
+// Map a PhonePe refund state onto our refund statuses
+function mapRefundState(refundState) {
+  switch (refundState) {
+    case "COMPLETED":
+      return "refunded";
+    case "FAILED":
+      return "refund_failed";
+    default:
+      return "refund_pending";
+  }
+}
+
+// Apply a PhonePe refund state (from the status API or a callback) to our
+// records. `context` says who reported it, for the audit log.
+async function applyRefundUpdate(refund, refundData, context) {
+  const status = mapRefundState(refundData.state);
+
+  const previous = await Refund.findOneAndUpdate(
+    { merchantRefundId: refund.merchantRefundId },
+    {
+      status,
+      phonePeRefundId: refundData.refundId || refund.phonePeRefundId,
+      phonePeResponse: refundData,
+      updatedAt: new Date(),
+    },
+  );
+  const updatedRefund = await Refund.findById(previous._id);
+
+  // A failed refund gives its amount back to what can still be refunded
+  if (status === "refund_failed" && previous.status !== "refund_failed") {
+    await releaseRefundReservation(refund);
+  }
+
+  const refundedTotal = await Refund.aggregate([
+    { $match: { merchantOrderId: refund.merchantOrderId, status: "refunded" } },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+
+  await auditedUpdate(
+    Payment,
+    { merchantOrderId: refund.merchantOrderId },
+    {
+      refundStatus: status,
+      refundedAmount: refundedTotal[0]?.amount || 0,
+      updatedAt: new Date(),
+    },
+    {
+      ...context,
+      reason: [
+        `Refund ${refund.merchantRefundId} ${refundData.state}`,
+        context.reason,
+      ]
+        .filter(Boolean)
+        .join(": "),
+    },
+  );
+
+  if (status === "refunded") {
+    const claimed = await Refund.findOneAndUpdate(
+      { merchantRefundId: refund.merchantRefundId, refundEmailSent: false },
+      { refundEmailSent: true },
+    );
+    const application = await Application.findOne({
+      applicationId: refund.applicationId,
+    });
+
+    // Failed sends are retried by the outbox, so the flag stays claimed
+    if (claimed && application) {
+      await queueNotification("refund_processed", application, {
+        refund: updatedRefund,
+      });
+    }
+  }
+
+  return updatedRefund;
+}
+
+function outboxRetryDelayMs(attempts) {
+  return OUTBOX_CONFIG.baseDelaySeconds * 1000 * 2 ** (attempts - 1);
+}
+
+// Send a claimed outbox message and record the outcome. On failure the
+// message is rescheduled with backoff, or marked failed after maxAttempts.
+async function deliverOutboxMessage(message) {
+  const { event, channel, to } = message;
+
+  try {
+    const { provider, id } = await notifications.send(channel, to, {
+      locale: message.locale,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      attachments: message.attachments,
+    });
+
+    const now = new Date();
+    const update = {
+      $set: {
+        status: "sent",
+        provider,
+        providerMessageId: id,
+        sentAt: now,
+        updatedAt: now,
+      },
+      $push: { history: { at: now, status: "sent", provider } },
+    };
+    if (message.redact) update.$unset = { html: 1, text: 1 };
+
+    await OutboxMessage.updateOne({ _id: message._id }, update);
+    console.log(`✅ ${event} sent by ${channel} (${provider}) to ${to}`);
+    return { status: "sent", provider, id };
+  } catch (error) {
+    const now = new Date();
+    const giveUp = message.attempts >= message.maxAttempts;
+    const status = giveUp ? "failed" : "queued";
+
+    const update = {
+      $set: {
+        status,
+        lastError: error.message,
+        nextAttemptAt: new Date(
+          now.getTime() + outboxRetryDelayMs(message.attempts),
+        ),
+        updatedAt: now,
+      },
+      $push: { history: { at: now, status: "failed", error: error.message } },
+    };
+    if (giveUp && message.redact) update.$unset = { html: 1, text: 1 };
+
+    await OutboxMessage.updateOne({ _id: message._id }, update);
+    console.error(
+      `❌ Failed to send ${event} by ${channel} (attempt ${message.attempts}/${message.maxAttempts}):`,
+      error.message,
+    );
+    return { status, error: error.message };
+  }
+}
+
+// Queue a notification on every channel the recipient can get it on and
+// try each one straight away. Returns { delivered, results } - delivered is
+// true when at least one channel was sent now; the rest are retried by
+// the outbox worker unless options.retry is false. With options.dedupeKey
+// a channel that already has a message under that key is skipped.
+async function queueNotification(event, recipient, data = {}, options = {}) {
+  const { messages, skipped } = notifications.prepare(
+    event,
+    recipient,
+    data,
+    options,
+  );
+
+  const results = {};
+  for (const [channel, reason] of Object.entries(skipped)) {
+    results[channel] = { status: "skipped", reason };
+  }
+
+  for (const { channel, to, message } of messages) {
+    const now = new Date();
+    // Created already claimed, so the worker leaves it alone meanwhile
+    const queued = await OutboxMessage.create({
+      dedupeKey: options.dedupeKey,
+      event,
+      channel,
+      to,
+      applicationId: recipient.applicationId,
+      locale: message.locale,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      // Only email can carry files
+      attachments: channel === "email" ? options.attachments : undefined,
+      status: "sending",
+      attempts: 1,
+      maxAttempts: options.retry === false ? 1 : OUTBOX_CONFIG.maxAttempts,
+      nextAttemptAt: new Date(
+        now.getTime() + OUTBOX_CONFIG.lockMinutes * 60 * 1000,
+      ),
+      redact: Boolean(options.redact),
+      createdBy: options.createdBy,
+    }).catch((error) => {
+      if (error.code === 11000) return null;
+      throw error;
+    });
+
+    results[channel] = queued
+      ? await deliverOutboxMessage(queued)
+      : { status: "skipped", reason: "duplicate" };
+  }
+
+  return {
+    delivered: Object.values(results).some((r) => r.status === "sent"),
+    results,
+  };
+}
+
+// Status values that notify the applicant when an application moves to
+// them. Payment completion is covered by the confirmation message.
+const STATUS_NOTIFICATIONS = {
+  status: {
+    shortlisted: "application_shortlisted",
+    approved: "application_approved",
+    rejected: "application_rejected",
+    selected: "application_selected",
+  },
+  paymentStatus: { failed: "payment_failed" },
+};
+
+// Review decisions stay internal until the results are published
+const INTERNAL_REVIEW_STATUSES = ["shortlisted", "approved", "rejected"];
+
+// Tell the applicant about the new value of application[field]. Each
+// notice goes out once per application (once per order for failed
+// payments). Review decisions made before the cycle's results are
+// published are held back; notifyResultsPublished sends the outcome.
+async function notifyStatusChange(application, field, data = {}) {
+  const event = STATUS_NOTIFICATIONS[field][application[field]];
+  if (!event) return null;
+
+  if (
+    field === "status" &&
+    INTERNAL_REVIEW_STATUSES.includes(application.status) &&
+    !(await MeritList.exists({
+      cycleCode: application.cycleCode,
+      status: "published",
+    }))
+  ) {
+    return null;
+  }
+
+  const dedupeKey = [application.applicationId, event, data.merchantOrderId]
+    .filter(Boolean)
+    .join(":");
+
+  try {
+    return await queueNotification(event, application, data, { dedupeKey });
+  } catch (error) {
+    console.error(
+      `❌ Failed to queue ${event} for ${application.applicationId}:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+// Once results are published every paid applicant in the cycle hears their
+// outcome: selected, rejected, or not selected this time
+async function notifyResultsPublished(meritList) {
+  const entries = new Map(
+    meritList.entries.map((entry) => [entry.applicationId, entry]),
+  );
+  const applications = await Application.find({
+    cycleCode: meritList.cycleCode,
+    paymentStatus: "completed",
+  });
+
+  for (const application of applications) {
+    if (["selected", "rejected"].includes(application.status)) {
+      await notifyStatusChange(application, "status", {
+        rank: entries.get(application.applicationId)?.rank,
+      });
+      continue;
+    }
+
+    await queueNotification(
+      "results_published",
+      application,
+      {},
+      {
+        dedupeKey: `${application.applicationId}:results_published`,
+      },
+    ).catch((error) =>
+      console.error(
+        `❌ Failed to queue results notice for ${application.applicationId}:`,
+        error.message,
+      ),
+    );
+  }
+
+  console.log(
+    `📣 Result notices queued for ${applications.length} applicants in ${meritList.cycleCode}`,
+  );
+}
+
+// Send queued messages whose retry time has come, one claim at a time
+async function runOutbox(now = new Date()) {
+  // Interrupted on their last attempt - nothing left to retry
+  await OutboxMessage.updateMany(
+    {
+      status: "sending",
+      nextAttemptAt: { $lte: now },
+      $expr: { $gte: ["$attempts", "$maxAttempts"] },
+    },
+    {
+      $set: {
+        status: "failed",
+        lastError: "Interrupted while sending",
+        updatedAt: now,
+      },
+    },
+  );
+  await OutboxMessage.updateMany(
+    { redact: true, status: "failed", html: { $exists: true } },
+    { $unset: { html: 1, text: 1 } },
+  );
+
+  let processed = 0;
+  while (processed < OUTBOX_CONFIG.batchSize) {
+    const claimedAt = new Date();
+    const message = await OutboxMessage.findOneAndUpdate(
+      {
+        status: { $in: ["queued", "sending"] },
+        nextAttemptAt: { $lte: claimedAt },
+        $expr: { $lt: ["$attempts", "$maxAttempts"] },
+      },
+      {
+        $set: {
+          status: "sending",
+          nextAttemptAt: new Date(
+            claimedAt.getTime() + OUTBOX_CONFIG.lockMinutes * 60 * 1000,
+          ),
+          updatedAt: claimedAt,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, new: true },
+    );
+    if (!message) break;
+
+    await deliverOutboxMessage(message);
+    processed++;
+  }
+
+  return processed;
+}
+
+function startOutboxWorker() {
+  setInterval(() => {
+    runOutbox().catch((error) =>
+      console.error("❌ Outbox run crashed:", error.message),
+    );
+  }, OUTBOX_CONFIG.intervalSeconds * 1000).unref();
+
+  console.log(
+    `📬 Notification outbox retrying every ${OUTBOX_CONFIG.intervalSeconds} seconds`,
+  );
+}
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const UPI_PATTERN = /^[\w.-]{2,256}@[a-z][a-z0-9]{1,63}$/;
+
+// Bank or UPI payout details from a request body.
+// Returns { errors, method, details, mask }.
+function parsePayoutDetails(body) {
+  if (body.method === "bank") {
+    const errors = [];
+    const accountHolder = String(body.accountHolder || "").trim();
+    const accountNumber = String(body.accountNumber || "").replace(/\s/g, "");
+    const ifsc = String(body.ifsc || "")
+      .trim()
+      .toUpperCase();
+
+    if (accountHolder.length < 2 || accountHolder.length > 100)
+      errors.push("Account holder name is required");
+    if (!/^\d{9,18}$/.test(accountNumber))
+      errors.push("Account number must be 9-18 digits");
+    if (!IFSC_PATTERN.test(ifsc)) errors.push("Invalid IFSC code");
+
+    return {
+      errors,
+      method: "bank",
+      details: { accountHolder, accountNumber, ifsc },
+      mask: `A/c ••••${accountNumber.slice(-4)} • ${ifsc}`,
+    };
+  }
+
+  if (body.method === "upi") {
+    const upiId = String(body.upiId || "")
+      .trim()
+      .toLowerCase();
+    const [handle, provider] = upiId.split("@");
+
+    return {
+      errors: UPI_PATTERN.test(upiId) ? [] : ["Invalid UPI ID"],
+      method: "upi",
+      details: { upiId },
+      mask: `${(handle || "").slice(0, 2)}••••@${provider || ""}`,
+    };
+  }
+
+  return { errors: ["Payout method must be bank or upi"] };
+}
+
+// Store new payout details on a payout. Returns validation errors, if any.
+// Details can only change while the payout is pending or failed. The
+// write is conditional on that, so a batch created in the meantime (which
+// moves the payout to processing) can't have its details swapped under it.
+// Resolves to { errors, payout } with the updated payout.
+async function savePayoutDetails(payout, body, by) {
+  const notEditable = (status) => [
+    `Payout details can't be changed while the payout is ${status}`,
+  ];
+  const editable = ["pending", "failed"];
+
+  if (!editable.includes(payout.status)) {
+    return { errors: notEditable(payout.status) };
+  }
+
+  const { errors, method, details, mask } = parsePayoutDetails(body);
+  if (errors.length > 0) return { errors };
+
+  const now = new Date();
+  const updated = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: { $in: editable } },
+    {
+      method,
+      payoutDetails: encryption.encrypt(JSON.stringify(details)),
+      payoutDetailsMask: mask,
+      detailsUpdatedAt: now,
+      detailsUpdatedBy: by,
+      updatedAt: now,
+    },
+    { new: true },
+  );
+  if (!updated) {
+    const current = await Payout.findById(payout._id).select("status");
+    return { errors: notEditable(current?.status || "closed") };
+  }
+
+  return { errors: [], payout: updated };
+}
+
+function setPayoutStatus(payout, status, by, note) {
+  const now = new Date();
+  payout.status = status;
+  payout.history.push({ at: now, status, by, note });
+  payout.updatedAt = now;
+}
+
+// What staff screens and the applicant see - never the decrypted details
+function payoutSummary(payout) {
+  return {
+    applicationId: payout.applicationId,
+    cycleCode: payout.cycleCode,
+    amount: payout.amount,
+    method: payout.method,
+    payoutDetailsMask: payout.payoutDetailsMask,
+    hasDetails: Boolean(payout.payoutDetails),
+    status: payout.status,
+    batchId: payout.batchId,
+    utr: payout.utr,
+    failureReason: payout.failureReason,
+    paidAt: payout.paidAt,
+    updatedAt: payout.updatedAt,
+  };
+}
+
+// Create the payout records for a cycle's selected applicants. Safe to
+// call repeatedly; existing payouts are left alone.
+async function ensurePayouts(cycleCode) {
+  const selected = await Application.find({ cycleCode, status: "selected" })
+    .select("applicationId")
+    .lean();
+  if (!selected.length) return 0;
+
+  const now = new Date();
+  const result = await Payout.bulkWrite(
+    selected.map((application) => ({
+      updateOne: {
+        filter: { applicationId: application.applicationId },
+        update: {
+          $setOnInsert: {
+            application: application._id,
+            cycleCode,
+            amount: PAYOUT_CONFIG.amount * 100,
+            status: "pending",
+            history: [{ at: now, status: "pending", by: "system" }],
+            createdAt: now,
+            updatedAt: now,
+          },
+        },
+        upsert: true,
+      },
+    })),
+  );
+  return result.upsertedCount;
+}
+
+// A batch is completed once none of its payouts is still processing
+async function refreshPayoutBatch(batchId) {
+  if (!batchId) return;
+  const processing = await Payout.exists({ batchId, status: "processing" });
+  if (!processing) {
+    await PayoutBatch.updateOne(
+      { batchId, status: "processing" },
+      { status: "completed", completedAt: new Date() },
+    );
+  }
+}
+
+// Bulk import: CSV columns are the application form's field names, plus
+// payment_reference and amount_paid (rupees, defaults to the cycle fee)
+// for the fee collected in person. Paper forms come without uploads, so
+// there are no documents to check.
+const IMPORT_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "dob",
+  "gender",
+  "category",
+  "school",
+  "state",
+  "district",
+  "pincode",
+  "address",
+  "income_amount",
+  "income_band",
+  "achievements",
+  "recommendation",
+  "sop",
+  "language",
+  "notify_sms",
+  "notify_whatsapp",
+];
+
+// Header cells are matched case-insensitively, spaces read as underscores
+function parseImportCsv(input) {
+  return parseCsv(input, {
+    columns: (header) =>
+      header.map((cell) => cell.trim().toLowerCase().replace(/\s+/g, "_")),
+    bom: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+}
+
+// Paper forms are dated DD/MM/YYYY; YYYY-MM-DD is accepted as well
+function parseImportDate(value) {
+  const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+  const iso = match
+    ? `${match[3]}-${match[2].padStart(2, "0")}-${match[1].padStart(2, "0")}`
+    : value;
+  return isDateOnly(iso) ? new Date(iso) : null;
+}
+
+function parseImportAmount(value) {
+  const amount = Number(String(value).replace(/[₹,\s]/g, ""));
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+// Check CSV rows with the online form's rules and, unless dryRun is set,
+// create their applications as paid offline. Nothing is written if any row
+// fails, and the applications are inserted together - if that fails the
+// ones already in are removed again - so a corrected file can simply be
+// imported again.
+// Returns { cycleCode, dryRun, total, failed, imported, rows, error } where
+// each row is { row, name, email, phone, applicationId, errors } and error
+// says why a valid file could not be imported.
+async function importApplications(records, options) {
+  const { cycleCode, dryRun = true, batch, by, context } = options;
+  const cycle = await ensureCycle(cycleCode);
+  const genders = Application.schema.path("gender").enumValues;
+  const seen = new Map();
+  const prepared = [];
+
+  for (const [index, record] of records.entries()) {
+    const data = {};
+    for (const field of IMPORT_FIELDS) {
+      if (record[field]) data[field] = record[field];
+    }
+
+    // Spreadsheet row number, counting the header as row 1
+    const row = index + 2;
+    const errors = validateApplicationData(data);
+
+    const dob = data.dob && parseImportDate(data.dob);
+    if (data.dob && !dob) {
+      errors.push("Invalid date of birth (use DD/MM/YYYY)");
+    }
+    const income = data.income_amount && parseImportAmount(data.income_amount);
+    if (data.income_amount && income === null) {
+      errors.push("Invalid family income");
+    }
+    const amountPaid = record.amount_paid
+      ? parseImportAmount(record.amount_paid)
+      : cycle.fee;
+    if (amountPaid === null) errors.push("Invalid amount paid");
+    if (data.gender && !genders.includes(data.gender)) {
+      errors.push(`Gender must be one of: ${genders.join(", ")}`);
+    }
+    if (data.category && !APPLICATION_CATEGORIES.includes(data.category)) {
+      errors.push(
+        `Class/Course must be one of: ${APPLICATION_CATEGORIES.join(", ")}`,
+      );
+    }
+
+    for (const field of ["email", "phone"]) {
+      const key = `${field}:${data[field]}`;
+      if (!data[field]) continue;
+      if (seen.has(key)) {
+        errors.push(`Same ${field} as row ${seen.get(key)}`);
+      } else {
+        seen.set(key, row);
+      }
+    }
+
+    // Same one-application-per-person rule as /api/application/submit
+    if (data.email && data.phone) {
+      const existing = await Application.findOne({
+        cycleCode,
+        $or: [{ email: data.email }, { phone: data.phone }],
+      }).select("applicationId");
+      if (existing) {
+        errors.push(
+          `Application ${existing.applicationId} already exists with this email or phone number`,
+        );
+      }
+    }
+
+    const application = new Application({
+      ...data,
+      dob,
+      income_amount: income,
+      cycleCode,
+      status: "paid",
+      paymentStatus: "completed",
+      contactPreferences: parseContactPreferences(data),
+      source: "import",
+      importBatch: batch,
+      offlinePayment: {
+        amount: Math.round((amountPaid ?? 0) * 100),
+        reference: record.payment_reference,
+        recordedBy: by,
+        recordedAt: new Date(),
+      },
+    });
+
+    // Anything the model still rejects; the ID is issued on import
+    if (!errors.length) {
+      const invalid = application.validateSync();
+      for (const [path, error] of Object.entries(invalid?.errors || {})) {
+        if (path !== "applicationId") errors.push(error.message);
+      }
+    }
+
+    prepared.push({
+      application,
+      report: {
+        row,
+        name: data.name,
+        email: data.email,
+        phone: data.phone,
+        applicationId: null,
+        errors,
+      },
+    });
+  }
+
+  const failed = prepared.filter((p) => p.report.errors.length).length;
+  const result = {
+    cycleCode,
+    dryRun,
+    total: prepared.length,
+    failed,
+    imported: 0,
+    rows: prepared.map((p) => p.report),
+  };
+  if (dryRun || failed) return result;
+
+  const applications = prepared.map((p) => p.application);
+  try {
+    for (const application of applications) {
+      application.applicationId = await issueApplicationId(cycleCode);
+    }
+    await Application.insertMany(applications, { ordered: true });
+  } catch (error) {
+    result.error = await rollBackImport(applications, error);
+    return result;
+  }
+
+  const weights = await getScoringWeights(cycleCode);
+  for (const { application, report } of prepared) {
+    report.applicationId = application.applicationId;
+    await recordAudit(Application, null, application, context);
+    // Paid, so it gets a provisional score like an online application.
+    // Both can be redone later (recompute scores / assign reviewers).
+    try {
+      await scoreApplication(application, weights);
+      await assignReviewers(application, context);
+    } catch (error) {
+      console.error(
+        `❌ Imported ${application.applicationId} but could not score it or assign reviewers:`,
+        error.message,
+      );
+    }
+  }
+  result.imported = applications.length;
+  return result;
+}
+
+// Remove whatever part of a failed import went in. Returns the message for
+// the import report.
+async function rollBackImport(applications, error) {
+  console.error("❌ Import failed, rolling back:", error.message);
+  try {
+    await Application.deleteMany({
+      _id: { $in: applications.map((a) => a._id) },
+    });
+    return `Nothing was imported: ${error.message}`;
+  } catch (rollbackError) {
+    console.error("❌ Import rollback failed:", rollbackError.message);
+    return `The import failed (${error.message}) and some applications may have been created. Check the list for import batch "${applications[0].importBatch}" before importing again.`;
+  }
+}
+
+// One CSV line. Cells starting with = + - @ tab or CR get a leading ' so
+// spreadsheet apps don't treat them as formulas.
+function csvRow(values) {
+  return values
+    .map((value) => {
+      let cell = value == null ? "" : String(value);
+      if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+      return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    })
+    .join(",");
+}
+
+// Map a PhonePe order state onto our Payment and Application statuses
+function mapOrderState(orderState) {
+  switch (orderState) {
+    case "COMPLETED":
+      return { localStatus: "completed", applicationStatus: "paid" };
+
+    case "FAILED":
+      return { localStatus: "failed", applicationStatus: "pending" };
+
+    case "PENDING":
+      return { localStatus: "pending", applicationStatus: "pending" };
+
+    default:
+      console.warn(`Unknown order state: ${orderState}`);
+      return { localStatus: "pending", applicationStatus: "pending" };
+  }
+}
+
+// Stamp a completed payment with its payment time and receipt number.
+// Only the first call sets them, so a receipt keeps its number.
+async function markPaymentPaid(merchantOrderId) {
+  await Payment.updateOne(
+    { merchantOrderId, receiptCode: { $exists: false } },
+    {
+      paidAt: new Date(),
+      receiptCode: crypto.randomBytes(8).toString("hex"),
+    },
+  );
+  return Payment.findOne({ merchantOrderId });
+}
+
+function receiptVerifyUrl(receiptCode) {
+  return `${RECEIPT_VERIFY_BASE}/verify.html?code=${receiptCode}`;
+}
+
+// PDF acknowledgment receipt for a completed payment
+async function buildPaymentReceipt(payment, application) {
+  if (!payment.receiptCode) {
+    payment = await markPaymentPaid(payment.merchantOrderId);
+  }
+
+  return receipt.buildReceipt({
+    name: application.name,
+    applicationId: application.applicationId,
+    cycleCode: application.cycleCode,
+    merchantOrderId: payment.merchantOrderId,
+    phonePeOrderId: payment.phonePeOrderId,
+    amount: payment.amount,
+    // Payments completed before receipts existed have no paidAt
+    paidAt: payment.paidAt || payment.updatedAt,
+    receiptCode: payment.receiptCode,
+    verifyUrl: receiptVerifyUrl(payment.receiptCode),
+  });
+}
+
+// The receipt as an email attachment. The confirmation still goes out
+// without it if the PDF can't be built.
+async function receiptAttachments(payment, application) {
+  try {
+    return [
+      {
+        filename: receipt.receiptFilename(application.applicationId),
+        contentType: "application/pdf",
+        content: await buildPaymentReceipt(payment, application),
+      },
+    ];
+  } catch (error) {
+    console.error("❌ Failed to build receipt:", error.message);
+    return [];
+  }
+}
+
+// Template data for the application_confirmed notification
+async function confirmationData(application, amount, orderId) {
+  const cycle = await Cycle.findOne({ code: application.cycleCode })
+    .select("opensAt closesAt resultAt")
+    .lean();
+  return { orderId, amount, cycle: cycle || {} };
+}
+
+// Queue the payment confirmation (on every channel the applicant wants) at
+// most once per payment. The flag is claimed atomically so the status page
+// and the PhonePe callback can't both send it; failed sends are retried by
+// the outbox.
+async function sendConfirmationEmailOnce(
+  merchantOrderId,
+  application,
+  orderId,
+) {
+  const claimed = await Payment.findOneAndUpdate(
+    { merchantOrderId, confirmationEmailSent: { $ne: true } },
+    { confirmationEmailSent: true },
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  try {
+    const { delivered } = await queueNotification(
+      "application_confirmed",
+      application,
+      await confirmationData(application, claimed.amount, orderId),
+      { attachments: await receiptAttachments(claimed, application) },
+    );
+    return delivered;
+  } catch (emailError) {
+    // Nothing was queued - release the flag so a later status check retries
+    console.error("Failed to queue confirmation email:", emailError.message);
+    await Payment.updateOne(
+      { merchantOrderId },
+      { confirmationEmailSent: false },
+    );
+    return false;
+  }
+}
+
+// Apply a PhonePe order (from the status API or a callback) to our records.
+// `context` says who reported it, for the audit log.
+async function applyOrderUpdate(
+  localPayment,
+  orderData,
+  context,
+  extraFields = {},
+) {
+  const { localStatus, applicationStatus } = mapOrderState(orderData.state);
+  const audit = { ...context, reason: `PhonePe order ${orderData.state}` };
+
+  const updatedPayment = await auditedUpdate(
+    Payment,
+    { merchantOrderId: localPayment.merchantOrderId },
+    {
+      status: localStatus,
+      phonePeOrderId: orderData.orderId,
+      phonePeResponse: orderData,
+      updatedAt: new Date(),
+      ...extraFields,
+    },
+    audit,
+  );
+
+  const completed = localStatus === "completed";
+
+  // A completed payment is never undone, and only the application's
+  // current order can mark it pending or failed - an abandoned earlier
+  // attempt failing later changes nothing. A completion counts whichever
+  // attempt it was (the applicant did pay) and becomes the current order.
+  const target = {
+    applicationId: localPayment.applicationId,
+    paymentStatus: { $ne: "completed" },
+    ...(completed ? {} : { merchantOrderId: localPayment.merchantOrderId }),
+  };
+  const applicationFields = {
+    paymentStatus: ["completed", "failed"].includes(localStatus)
+      ? localStatus
+      : "pending",
+    paymentOrderId: completed ? orderData.orderId : null,
+    ...(completed ? { merchantOrderId: localPayment.merchantOrderId } : {}),
+    updatedAt: new Date(),
+  };
+
+  // Only move the status while the application is still pending/paid, so
+  // a later status check can't undo a committee decision
+  let application = await auditedUpdate(
+    Application,
+    { ...target, status: { $in: ["pending", "paid"] } },
+    { ...applicationFields, status: applicationStatus },
+    audit,
+  );
+  if (!application) {
+    application = await auditedUpdate(
+      Application,
+      target,
+      applicationFields,
+      audit,
+    );
+  }
+  const applicationChanged = Boolean(application);
+
+  if (completed && !application) {
+    // Already paid - still retry the confirmation below
+    application = await Application.findOne({
+      applicationId: localPayment.applicationId,
+    });
+  }
+
+  if (completed && application) {
+    await markPaymentPaid(localPayment.merchantOrderId);
+    // Scoring and reviewer assignment happen once, when the payment first
+    // completes; later status checks only retry the confirmation
+    if (applicationChanged) {
+      // Income is known up front, so paid applications get a provisional score
+      await scoreApplication(application);
+      assignReviewers(application, {
+        ...context,
+        actorType: "system",
+        reason: "Reviewer assignment after payment",
+      }).catch((error) => console.error("Reviewer assignment error:", error));
+    }
+    await sendConfirmationEmailOnce(
+      localPayment.merchantOrderId,
+      application,
+      orderData.orderId,
+    );
+  }
+
+  if (localStatus === "failed" && applicationChanged) {
+    await notifyStatusChange(application, "paymentStatus", {
+      merchantOrderId: localPayment.merchantOrderId,
+    });
+  }
+
+  return { payment: updatedPayment, application };
+}
+
+// Reconcile a single stale payment against PhonePe
+async function reconcilePayment(payment) {
+  const result = {
+    merchantOrderId: payment.merchantOrderId,
+    applicationId: payment.applicationId,
+    previousStatus: payment.status,
+    newStatus: payment.status,
+  };
+
+  const ageSeconds = (Date.now() - payment.createdAt.getTime()) / 1000;
+  const pastExpiry = ageSeconds > PAYMENT_EXPIRE_AFTER_SECONDS;
+
+  let orderData;
+  try {
+    orderData = await paymentProvider.getOrderStatus(payment.merchantOrderId);
+  } catch (error) {
+    // PhonePe doesn't know the order at all - nothing left to wait for
+    if (error.response?.status === 404 && pastExpiry) {
+      await auditedUpdate(
+        Payment,
+        { merchantOrderId: payment.merchantOrderId },
+        { status: "expired", updatedAt: new Date() },
+        auditContext(
+          null,
+          "system",
+          "Reconciliation: order unknown to PhonePe",
+        ),
+      );
+      result.newStatus = "expired";
+      return result;
+    }
+
+    result.error = error.response?.data?.message || error.message;
+    return result;
+  }
+
+  result.orderState = orderData.state;
+
+  if (orderData.state !== "COMPLETED" && orderData.state !== "FAILED") {
+    if (pastExpiry) {
+      await auditedUpdate(
+        Payment,
+        { merchantOrderId: payment.merchantOrderId },
+        {
+          status: "expired",
+          phonePeResponse: orderData,
+          updatedAt: new Date(),
+        },
+        auditContext(
+          null,
+          "system",
+          `Reconciliation: order still ${orderData.state} after expiry`,
+        ),
+      );
+      result.newStatus = "expired";
+      return result;
+    }
+  }
+
+  const { payment: updatedPayment } = await applyOrderUpdate(
+    payment,
+    orderData,
+    auditContext(null, "system", "Reconciliation"),
+  );
+  result.newStatus = updatedPayment ? updatedPayment.status : payment.status;
+  return result;
+}
+
+let reconciliationRunning = false;
+
+// Check every initiated/pending payment older than the minimum age
+async function runPaymentReconciliation() {
+  if (reconciliationRunning) {
+    console.log("⏭️ Reconciliation already running, skipping this run");
+    return null;
+  }
+
+  reconciliationRunning = true;
+  const report = new ReconciliationReport({ startedAt: new Date() });
+
+  try {
+    const cutoff = new Date(
+      Date.now() - RECONCILE_CONFIG.minAgeMinutes * 60 * 1000,
+    );
+
+    const stalePayments = await Payment.find({
+      status: { $in: ["initiated", "pending"] },
+      createdAt: { $lte: cutoff },
+    })
+      .sort({ createdAt: 1 })
+      .limit(RECONCILE_CONFIG.batchSize);
+
+    console.log(`🔁 Reconciling ${stalePayments.length} stale payments`);
+
+    for (const payment of stalePayments) {
+      let result;
+      try {
+        result = await reconcilePayment(payment);
+      } catch (error) {
+        result = {
+          merchantOrderId: payment.merchantOrderId,
+          applicationId: payment.applicationId,
+          previousStatus: payment.status,
+          newStatus: payment.status,
+          error: error.message,
+        };
+      }
+
+      report.checked += 1;
+      if (result.error) {
+        report.errored += 1;
+      } else if (report[result.newStatus] !== undefined) {
+        report[result.newStatus] += 1;
+      } else {
+        report.pending += 1;
+      }
+      report.results.push(result);
+    }
+  } catch (error) {
+    console.error("❌ Payment reconciliation failed:", error.message);
+  } finally {
+    report.finishedAt = new Date();
+    reconciliationRunning = false;
+  }
+
+  await report.save();
+
+  console.log(
+    `✅ Reconciliation done: ${report.checked} checked, ${report.completed} completed, ${report.failed} failed, ${report.expired} expired, ${report.errored} errors`,
+  );
+
+  return report;
+}
+
+function startReconciliationJob() {
+  if (!RECONCILE_CONFIG.enabled) {
+    console.log("⏸️ Payment reconciliation disabled");
+    return;
+  }
+
+  const intervalMs = RECONCILE_CONFIG.intervalMinutes * 60 * 1000;
+  setInterval(() => {
+    runPaymentReconciliation().catch((error) =>
+      console.error("❌ Reconciliation run crashed:", error.message),
+    );
+  }, intervalMs).unref();
+
+  console.log(
+    `🔁 Payment reconciliation scheduled every ${RECONCILE_CONFIG.intervalMinutes} minutes`,
+  );
+}
+
+// Routes
+
+// Fake checkout pages when running against the mock gateway
+if (paymentProvider.router) {
+  app.use("/mock-gateway", paymentProvider.router);
+}
+
+// Health Check
+app.get("/health", async (req, res) => {
+  const health = {
+    status: "OK",
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || "development",
+    database:
+      mongoose.connection.readyState === 1 ? "connected" : "disconnected",
+    email: process.env.RESEND_API_KEY ? "Resend configured" : "not configured",
+    ...notifications.describe(),
+    paymentProvider: paymentProvider.name,
+    ...paymentProvider.describe(),
+    documentStorage: documentStorage.name,
+  };
+  res.json(health);
+});
+
+// Current Cycle (public - lets the form show whether applications are open)
+app.get("/api/cycles/current", async (req, res) => {
+  try {
+    const cycle = await getOpenCycle();
+    const next = cycle
+      ? null
+      : await Cycle.findOne({
+          status: "upcoming",
+          opensAt: { $gt: new Date() },
+        }).sort({ opensAt: 1 });
+
+    const shown = cycle || next;
+    res.json({
+      success: true,
+      data: {
+        open: Boolean(cycle),
+        cycle: shown
+          ? {
+              code: shown.code,
+              opensAt: shown.opensAt,
+              closesAt: shown.closesAt,
+              resultAt: shown.resultAt,
+              fee: shown.fee,
+              status: shown.status,
+            }
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error("Current cycle fetch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch current cycle",
+    });
+  }
+});
+
+// Admin: cycles
+app.get(
+  "/api/admin/cycles",
+  requireStaff("reviewer", "finance"),
+  async (req, res) => {
+    try {
+      const cycles = await Cycle.find().sort({ code: -1 }).limit(24).lean();
+      res.json({ success: true, data: cycles });
+    } catch (error) {
+      console.error("Cycle list error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch cycles",
+      });
+    }
+  },
+);
+
+app.patch(
+  "/api/admin/cycles/:code",
+  requireStaff(),
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const { code } = req.params;
+      if (!/^\d{6}$/.test(code)) {
+        return res.status(400).json({
+          success: false,
+          message: "Cycle code must be YYYYMM",
+        });
+      }
+
+      const cycle = await ensureCycle(code);
+      const errors = [];
+
+      for (const field of ["opensAt", "closesAt", "resultAt"]) {
+        if (req.body[field] !== undefined) {
+          const date = new Date(req.body[field]);
+          if (isNaN(date.getTime())) {
+            errors.push(`${field} must be a valid date`);
+          } else {
+            cycle[field] = date;
+          }
+        }
+      }
+
+      if (req.body.fee !== undefined) {
+        const fee = Number(req.body.fee);
+        if (!Number.isInteger(fee) || fee <= 0) {
+          errors.push("Fee must be a positive whole number of rupees");
+        } else {
+          cycle.fee = fee;
+        }
+      }
+
+      if (req.body.awardsPerCategory !== undefined) {
+        const awards = req.body.awardsPerCategory || {};
+        if (!cycle.awardsPerCategory) cycle.awardsPerCategory = {};
+        for (const [category, count] of Object.entries(awards)) {
+          if (!APPLICATION_CATEGORIES.includes(category)) {
+            errors.push(`Unknown category: ${category}`);
+          } else if (!Number.isInteger(Number(count)) || Number(count) < 0) {
+            errors.push(`Awards for ${category} must be a whole number`);
+          } else {
+            cycle.awardsPerCategory.set(category, Number(count));
+          }
+        }
+      }
+
+      if (req.body.status !== undefined) {
+        if (!cycleSchema.path("status").enumValues.includes(req.body.status)) {
+          errors.push("Invalid cycle status");
+        } else {
+          cycle.status = req.body.status;
+        }
+      }
+
+      if (cycle.opensAt >= cycle.closesAt || cycle.closesAt > cycle.resultAt) {
+        errors.push("Dates must satisfy opensAt < closesAt <= resultAt");
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      cycle.updatedAt = new Date();
+      await cycle.save();
+
+      res.json({ success: true, data: cycle });
+    } catch (error) {
+      console.error("Cycle update error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update cycle",
+      });
+    }
+  },
+);
+
+// Staff Login
+app.post("/api/staff/login", loginLimiter, sanitizeInput, async (req, res) => {
+  const email = (req.body.email || "").toLowerCase();
+  const attempt = {
+    email,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+  };
+
+  try {
+    if (!email || !req.body.password) {
+      return res.status(400).json({
+        success: false,
+        message: "Email and password are required",
+      });
+    }
+
+    const staff = await Staff.findOne({ email });
+    const valid =
+      staff &&
+      staff.active &&
+      verifyPassword(req.body.password, staff.passwordHash);
+
+    if (!valid) {
+      await LoginAttempt.create({
+        ...attempt,
+        success: false,
+        reason: !staff
+          ? "unknown_email"
+          : !staff.active
+            ? "inactive"
+            : "wrong_password",
+      });
+      console.warn(`⚠️ Failed staff login for ${email} from ${req.ip}`);
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(
+      Date.now() + STAFF_SESSION_HOURS * 60 * 60 * 1000,
+    );
+
+    await StaffSession.create({
+      tokenHash: hashSessionToken(token),
+      staff: staff._id,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      expiresAt,
+    });
+
+    staff.lastLoginAt = new Date();
+    await staff.save();
+    await LoginAttempt.create({ ...attempt, success: true });
+    console.log(`🔐 Staff login: ${email} (${staff.role})`);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        expiresAt,
+        staff: {
+          email: staff.email,
+          name: staff.name,
+          role: staff.role,
+          adjudicator: staff.adjudicator,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Staff login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Login failed",
+    });
+  }
+});
+
+// Staff Logout
+app.post(
+  "/api/staff/logout",
+  requireStaff(...STAFF_ROLES),
+  async (req, res) => {
+    try {
+      const token = req.get("Authorization").slice(7).trim();
+      await StaffSession.deleteOne({ tokenHash: hashSessionToken(token) });
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Staff logout error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Logout failed",
+      });
+    }
+  },
+);
+
+// Current staff member
+app.get("/api/staff/me", requireStaff(...STAFF_ROLES), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      email: req.staff.email,
+      name: req.staff.name,
+      role: req.staff.role,
+      adjudicator: req.staff.adjudicator,
+    },
+  });
+});
+
+// Admin: staff accounts
+app.get("/api/admin/staff", requireStaff(), async (req, res) => {
+  try {
+    const staff = await Staff.find()
+      .select("-passwordHash")
+      .sort({ createdAt: 1 })
+      .lean();
+    res.json({ success: true, data: staff });
+  } catch (error) {
+    console.error("Staff list error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch staff",
+    });
+  }
+});
+
+app.post(
+  "/api/admin/staff",
+  requireStaff(),
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const { email, name, role, password } = req.body;
+      const errors = [];
+
+      if (!email || !validateEmail(email))
+        errors.push("Valid email is required");
+      if (!name) errors.push("Name is required");
+      if (!STAFF_ROLES.includes(role))
+        errors.push(`Role must be one of: ${STAFF_ROLES.join(", ")}`);
+      if (!validatePassword(password))
+        errors.push("Password must be at least 10 characters");
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      if (await Staff.exists({ email: email.toLowerCase() })) {
+        return res.status(409).json({
+          success: false,
+          message: "A staff account with this email already exists",
+        });
+      }
+
+      const staff = await Staff.create({
+        email,
+        name,
+        role,
+        passwordHash: hashPassword(password),
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { email: staff.email, name: staff.name, role: staff.role },
+      });
+    } catch (error) {
+      console.error("Staff create error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create staff account",
+      });
+    }
+  },
+);
+
+app.patch(
+  "/api/admin/staff/:email",
+  requireStaff(),
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const update = { updatedAt: new Date() };
+
+      if (req.body.role !== undefined) {
+        if (!STAFF_ROLES.includes(req.body.role)) {
+          return res.status(400).json({
+            success: false,
+            message: `Role must be one of: ${STAFF_ROLES.join(", ")}`,
+          });
+        }
+        update.role = req.body.role;
+      }
+
+      if (req.body.active !== undefined) {
+        update.active = req.body.active === true || req.body.active === "true";
+      }
+
+      if (req.body.adjudicator !== undefined) {
+        update.adjudicator =
+          req.body.adjudicator === true || req.body.adjudicator === "true";
+      }
+
+      // Lists of school / district names, as arrays or comma-separated
+      for (const field of ["schools", "districts"]) {
+        const value = req.body.conflicts?.[field];
+        if (value === undefined) continue;
+        update[`conflicts.${field}`] = (
+          Array.isArray(value) ? value : String(value).split(",")
+        )
+          .map((name) => String(name).trim())
+          .filter(Boolean);
+      }
+
+      if (req.body.password !== undefined) {
+        if (!validatePassword(req.body.password)) {
+          return res.status(400).json({
+            success: false,
+            message: "Password must be at least 10 characters",
+          });
+        }
+        update.passwordHash = hashPassword(req.body.password);
+      }
+
+      const staff = await Staff.findOneAndUpdate(
+        { email: req.params.email.toLowerCase() },
+        update,
+        { new: true },
+      );
+
+      if (!staff) {
+        return res.status(404).json({
+          success: false,
+          message: "Staff account not found",
+        });
+      }
+
+      // Role, status or password changes end existing sessions
+      if (["role", "active", "passwordHash"].some((key) => key in update)) {
+        await StaffSession.deleteMany({ staff: staff._id });
+      }
+
+      // Hand open reviews that now conflict (or belong to someone who can
+      // no longer review) to other reviewers
+      const openReviews = await Review.find({
+        reviewer: staff.email,
+        status: "assigned",
+      });
+      for (const review of openReviews) {
+        const application = await Application.findById(
+          review.application,
+        ).select("email school district");
+        const reason = !staff.active
+          ? "Reviewer deactivated"
+          : !["admin", "reviewer"].includes(staff.role)
+            ? "Reviewer role removed"
+            : application && conflictReason(staff, application);
+        if (reason) {
+          await recuseReview(
+            review,
+            reason,
+            auditContext(req, "staff", reason),
+          );
+        }
+      }
+
+      res.json({
+        success: true,
+        data: {
+          email: staff.email,
+          name: staff.name,
+          role: staff.role,
+          active: staff.active,
+          adjudicator: staff.adjudicator,
+          conflicts: staff.conflicts,
+        },
+      });
+    } catch (error) {
+      console.error("Staff update error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update staff account",
+      });
+    }
+  },
+);
+
+// Application Submission
+app.post(
+  "/api/application/submit",
+  generalLimiter,
+  uploadDocuments,
+  sanitizeInput,
+  requireOpenCycle,
+  idempotency("application-submit"),
+  async (req, res) => {
+    try {
+      const errors = [
+        ...validateApplicationData(req.body),
+        ...validateDocuments(req),
+      ];
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors,
+        });
+      }
+
+      // One application per person per cycle
+      const existingApplication = await Application.findOne({
+        cycleCode: req.cycle.code,
+        $or: [{ email: req.body.email }, { phone: req.body.phone }],
+      });
+
+      if (existingApplication) {
+        return res.status(409).json({
+          success: false,
+          message: "Application already exists with this email or phone number",
+          // Let an unpaid applicant continue to payment with their existing ID
+          data:
+            existingApplication.paymentStatus !== "completed"
+              ? { applicationId: existingApplication.applicationId }
+              : undefined,
+        });
+      }
+
+      const cycleCode = req.cycle.code;
+      const applicationId = await issueApplicationId(cycleCode);
+      const merchantOrderId = await issueMerchantOrderId(applicationId);
+
+      const application = new Application({
+        ...req.body,
+        applicationId,
+        merchantOrderId,
+        cycleCode,
+        dob: new Date(req.body.dob),
+        contactPreferences: parseContactPreferences(req.body),
+      });
+
+      await application.save();
+      await recordAudit(
+        Application,
+        null,
+        application,
+        auditContext(req, "applicant", "Application submitted"),
+      );
+
+      let documents;
+      try {
+        documents = await storeDocuments(req, application);
+      } catch (error) {
+        // Don't leave an application behind that is missing its documents
+        await Application.deleteOne({ _id: application._id });
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Application submitted successfully",
+        data: {
+          applicationId: application.applicationId,
+          merchantOrderId: application.merchantOrderId,
+          timestamp: application.createdAt,
+          documents: documents.map((doc) => ({
+            type: doc.type,
+            originalName: doc.originalName,
+            size: doc.size,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Application submission error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Application submission failed",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+);
+
+// Email verification: send a code to the email on the application. The
+// caller must also give the application's phone number, so an application
+// ID alone can't be used to send codes to someone's inbox.
+app.post(
+  "/api/application/:applicationId/email-otp",
+  otpLimiter,
+  emailOtpLimiter,
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const { applicationId } = req.params;
+      const application = await Application.findOne({ applicationId }).select(
+        "applicationId email phone emailVerifiedAt paymentStatus",
+      );
+      const phone = String(req.body.phone || "")
+        .replace(/\D/g, "")
+        .slice(-10);
+
+      if (
+        !application ||
+        application.paymentStatus === "completed" ||
+        application.phone !== phone
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Application not found",
+        });
+      }
+
+      if (application.emailVerifiedAt) {
+        return res.json({
+          success: true,
+          message: "Email already verified",
+          data: { verified: true },
+        });
+      }
+
+      const result = await issueOtp(
+        "email_verification",
+        applicationId,
+        application.email,
+      );
+      if (result.throttled) {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${OTP_CONFIG.resendSeconds} seconds before requesting another code`,
+        });
+      }
+
+      if (!result.sent) {
+        return res.status(503).json({
+          success: false,
+          message:
+            "We couldn't send the code right now. Please try again later.",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `A ${OTP_CONFIG.digits}-digit code has been sent to ${maskEmail(application.email)}`,
+        data: {
+          verified: false,
+          expiresInMinutes: OTP_CONFIG.expiryMinutes,
+        },
+      });
+    } catch (error) {
+      console.error("Email OTP request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send verification code",
+      });
+    }
+  },
+);
+
+// Email verification: confirm the code
+app.post(
+  "/api/application/:applicationId/verify-email",
+  otpLimiter,
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const { applicationId } = req.params;
+      if (!req.body.code) {
+        return res.status(400).json({
+          success: false,
+          message: "Verification code is required",
+        });
+      }
+
+      const result = await verifyOtp(
+        "email_verification",
+        applicationId,
+        req.body.code,
+      );
+      if (!result.ok) {
+        return res.status(401).json({
+          success: false,
+          message: OTP_FAILURE_MESSAGES[result.reason],
+          attemptsLeft: result.attemptsLeft,
+        });
+      }
+
+      // Only the address the code was sent to counts as verified
+      await Application.updateOne(
+        { applicationId, email: result.otp.email },
+        { emailVerifiedAt: new Date(), updatedAt: new Date() },
+      );
+      console.log(`📧 Email verified for ${applicationId}`);
+
+      res.json({
+        success: true,
+        message: "Email verified",
+        data: { verified: true },
+      });
+    } catch (error) {
+      console.error("Email verification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Verification failed",
+      });
+    }
+  },
+);
+
+// Payment Initiation (FIXED VERSION)
+app.post(
+  "/api/payment/initiate",
+  paymentLimiter,
+  sanitizeInput,
+  requireOpenCycle,
+  // PhonePe checkout links expire within minutes, so don't replay old ones
+  idempotency("payment-initiate", { replaySeconds: 5 * 60 }),
+  async (req, res) => {
+    try {
+      const { applicationId } = req.body;
+      // The fee comes from the cycle; an amount sent by older clients must match it
+      const amount = req.cycle.fee;
+
+      // Validation
+      if (!applicationId) {
+        return res.status(400).json({
+          success: false,
+          message: "Missing required fields",
+        });
+      }
+
+      if (req.body.amount !== undefined && req.body.amount !== amount) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid amount",
+        });
+      }
+
+      // Only IDs issued by /api/application/submit are accepted
+      const application = await Application.findOne({ applicationId });
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: "Application not found",
+        });
+      }
+
+      if (application.paymentStatus === "completed") {
+        return res.status(409).json({
+          success: false,
+          message: "This application has already been paid for",
+        });
+      }
+
+      if (application.cycleCode !== req.cycle.code) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "This application's cycle has closed. Please apply again for the current cycle.",
+        });
+      }
+
+      // A mistyped email would never get the confirmation or any update
+      if (!application.emailVerifiedAt) {
+        return res.status(403).json({
+          success: false,
+          code: "EMAIL_NOT_VERIFIED",
+          message: "Please verify your email address before paying",
+        });
+      }
+
+      // Check for duplicate payments by application
+      const duplicatePayment = await checkDuplicatePayment(applicationId);
+      if (duplicatePayment) {
+        return res.status(409).json({
+          success: false,
+          message: `Payment already exists for this application. Status: ${duplicatePayment.status}`,
+          existingPayment: {
+            merchantOrderId: duplicatePayment.merchantOrderId,
+            status: duplicatePayment.status,
+            createdAt: duplicatePayment.createdAt,
+          },
+        });
+      }
+
+      // Reuse the order ID issued at submission unless it already went to the gateway
+      let merchantOrderId = application.merchantOrderId;
+      if (!merchantOrderId || (await Payment.exists({ merchantOrderId }))) {
+        merchantOrderId = await issueMerchantOrderId(applicationId);
+        await Application.updateOne({ applicationId }, { merchantOrderId });
+      }
+
+      // V2 Payment payload
+      const requestBody = {
+        merchantOrderId: merchantOrderId,
+        amount: amount * 100,
+        expireAfter: PAYMENT_EXPIRE_AFTER_SECONDS,
+        // Filled from the stored application, never from the request
+        metaInfo: {
+          udf1: application.applicationId,
+          udf2: application.name,
+          udf3: application.email,
+          udf4: application.phone,
+          udf5: "Scholarship Application",
+        },
+        paymentFlow: {
+          type: "PG_CHECKOUT",
+          message: "Naukrivalaa Foundation Scholarship Application Fee",
+          merchantUrls: {
+            redirectUrl: `${process.env.FRONTEND_URL}/payment-status.html?transactionId=${merchantOrderId}`,
+          },
+        },
+      };
+
+      const orderData = await paymentProvider.createOrder(requestBody);
+
+      if (orderData && orderData.redirectUrl && orderData.orderId) {
+        // SAVE THE PAYMENT AFTER SUCCESSFUL PHONEPE RESPONSE
+        const payment = new Payment({
+          applicationId,
+          application: application._id,
+          merchantOrderId,
+          phonePeOrderId: orderData.orderId,
+          amount: amount * 100,
+          status: "initiated",
+          phonePeResponse: orderData,
+        });
+        await payment.save();
+        await recordAudit(
+          Payment,
+          null,
+          payment,
+          auditContext(req, "applicant", "Payment initiated"),
+        );
+
+        res.json({
+          success: true,
+          message: "Payment initiated successfully",
+          data: {
+            applicationId,
+            merchantOrderId,
+            orderId: orderData.orderId,
+            redirectUrl: orderData.redirectUrl,
+            state: orderData.state,
+            expireAt: orderData.expireAt,
+          },
+        });
+      } else {
+        throw new Error(
+          "Invalid PhonePe response: " + JSON.stringify(orderData),
+        );
+      }
+    } catch (error) {
+      console.error("❌ PHONEPE ERROR DETAILS:");
+      console.error("Status:", error.response?.status);
+      console.error("Data:", JSON.stringify(error.response?.data, null, 2));
+      console.error("Message:", error.message);
+
+      let errorMessage = "Payment initiation failed";
+      if (error.response?.data?.message) {
+        errorMessage = error.response.data.message;
+      } else if (error.response?.data?.code) {
+        errorMessage = `PhonePe Error: ${error.response.data.code}`;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: errorMessage,
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.response?.data || error.message
+            : undefined,
+      });
+    }
+  },
+);
+
+// Payment Status Check. Public (the payment redirect only carries the order
+// ID), so it answers with the order state alone - the PhonePe order holds
+// the applicant's contact details.
+app.get(
+  "/api/payment/status/:merchantOrderId",
+  paymentStatusLimiter,
+  async (req, res) => {
+    try {
+      const { merchantOrderId } = req.params;
+
+      if (!merchantOrderId) {
+        return res.status(400).json({
+          success: false,
+          message: "Order ID is required",
+        });
+      }
+
+      const localPayment = await Payment.findOne({ merchantOrderId });
+      if (!localPayment) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment record not found",
+        });
+      }
+
+      const orderData = await paymentProvider.getOrderStatus(merchantOrderId);
+
+      const { payment: updatedPayment } = await applyOrderUpdate(
+        localPayment,
+        orderData,
+        auditContext(req, "phonepe"),
+      );
+
+      res.json({
+        success: true,
+        data: { state: orderData.state, amount: orderData.amount },
+        localData: {
+          applicationId: updatedPayment.applicationId,
+          status: updatedPayment.status,
+          createdAt: updatedPayment.createdAt,
+          updatedAt: updatedPayment.updatedAt,
+        },
+      });
+    } catch (error) {
+      let errorMessage = "Payment status check failed";
+      if (error.response?.data?.message) {
+        errorMessage = error.response.data.message;
+      } else if (error.response?.data?.code) {
+        errorMessage = `PhonePe Error: ${error.response.data.code}`;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: errorMessage,
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.response?.data || error.message
+            : undefined,
+      });
+    }
+  },
+);
+
+// PDF acknowledgment receipt for a completed payment, keyed on its random
+// receipt code. Applicants get the link from the portal.
+app.get("/api/receipts/:receiptCode/pdf", async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      receiptCode: String(req.params.receiptCode),
+    });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment record not found",
+      });
+    }
+
+    if (payment.status !== "completed" || payment.refundStatus === "refunded") {
+      return res.status(400).json({
+        success: false,
+        message:
+          payment.refundStatus === "refunded"
+            ? "This payment was refunded"
+            : "A receipt is available once the payment is complete",
+      });
+    }
+
+    const application = await Application.findById(payment.application);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found",
+      });
+    }
+
+    const pdf = await buildPaymentReceipt(payment, application);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Length": pdf.length,
+      "Content-Disposition": `attachment; filename="${receipt.receiptFilename(application.applicationId)}"`,
+      "Cache-Control": "private, no-store",
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error("Receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate receipt",
+    });
+  }
+});
+
+// Public: check a receipt by the code in its QR link
+app.get("/api/receipts/verify/:receiptCode", async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      receiptCode: String(req.params.receiptCode),
+      status: "completed",
+    }).lean();
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "No receipt found with this code",
+      });
+    }
+
+    const application = await Application.findById(payment.application)
+      .select("applicationId name cycleCode")
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        applicationId: payment.applicationId,
+        name: application?.name,
+        cycleCode: application?.cycleCode,
+        merchantOrderId: payment.merchantOrderId,
+        amount: payment.amount,
+        paidAt: payment.paidAt || payment.updatedAt,
+        refunded: payment.refundStatus === "refunded",
+      },
+    });
+  } catch (error) {
+    console.error("Receipt verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify receipt",
+    });
+  }
+});
+
+// PhonePe server-to-server callback
+app.post("/api/payment/callback", async (req, res) => {
+  try {
+    if (!paymentProvider.verifyCallback(req.headers.authorization)) {
+      console.warn("⚠️ Rejected PhonePe callback with invalid authorization");
+      return res.status(401).json({
+        success: false,
+        message: "Invalid callback authorization",
+      });
+    }
+
+    const { event, payload } = req.body || {};
+    const merchantOrderId = payload?.merchantOrderId;
+
+    console.log("📬 PhonePe callback received:", event, merchantOrderId);
+
+    if (event && event.startsWith("pg.refund.")) {
+      const refund = await Refund.findOne({
+        merchantRefundId: payload?.merchantRefundId,
+      });
+      if (!refund) {
+        return res.status(404).json({
+          success: false,
+          message: "Refund record not found",
+        });
+      }
+
+      await applyRefundUpdate(refund, payload, auditContext(req, "phonepe"));
+      return res.json({ success: true });
+    }
+
+    if (!merchantOrderId || !payload.state) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid callback payload",
+      });
+    }
+
+    const localPayment = await Payment.findOne({ merchantOrderId });
+    if (!localPayment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment record not found",
+      });
+    }
+
+    await applyOrderUpdate(
+      localPayment,
+      payload,
+      auditContext(req, "phonepe"),
+      {
+        callbackReceived: true,
+      },
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("❌ PhonePe callback error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Callback processing failed",
+    });
+  }
+});
+
+// Refund a completed payment
+app.post(
+  "/api/admin/payments/:merchantOrderId/refund",
+  requireStaff("finance"),
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const { merchantOrderId } = req.params;
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: "Refund reason is required",
+        });
+      }
+
+      const payment = await Payment.findOne({ merchantOrderId });
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment record not found",
+        });
+      }
+
+      if (payment.status !== "completed") {
+        return res.status(400).json({
+          success: false,
+          message: `Only completed payments can be refunded. Status: ${payment.status}`,
+        });
+      }
+
+      const openRefunds = await Refund.find({
+        merchantOrderId,
+        status: { $in: ["refund_pending", "refunded"] },
+      });
+      const alreadyRefunded = openRefunds.reduce((sum, r) => sum + r.amount, 0);
+      const remaining = payment.amount - alreadyRefunded;
+
+      // Amount in rupees, defaults to whatever hasn't been refunded yet
+      const amount =
+        req.body.amount !== undefined
+          ? Math.round(Number(req.body.amount) * 100)
+          : remaining;
+
+      if (!Number.isFinite(amount) || amount <= 0 || amount > remaining) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid refund amount. Refundable: ₹${remaining / 100}`,
+        });
+      }
+
+      // Payments from before reservations start from their open refunds
+      await Payment.updateOne(
+        { merchantOrderId, refundReservedAmount: { $exists: false } },
+        { refundReservedAmount: alreadyRefunded },
+      );
+      const reserved = await Payment.findOneAndUpdate(
+        {
+          merchantOrderId,
+          status: "completed",
+          refundReservedAmount: { $lte: payment.amount - amount },
+        },
+        { $inc: { refundReservedAmount: amount } },
+      );
+      if (!reserved) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Another refund for this payment was just started. Please reload and try again.",
+        });
+      }
+
+      const merchantRefundId = `RF${Date.now()}${crypto
+        .randomBytes(4)
+        .toString("hex")
+        .toUpperCase()}`;
+
+      const refund = new Refund({
+        merchantRefundId,
+        merchantOrderId,
+        applicationId: payment.applicationId,
+        amount,
+        reason,
+        requestedBy: req.staff.email,
+      });
+      await refund.save();
+
+      let refundData;
+      try {
+        refundData = await paymentProvider.createRefund(
+          merchantRefundId,
+          merchantOrderId,
+          amount,
+        );
+      } catch (error) {
+        refund.status = "refund_failed";
+        refund.phonePeResponse = error.response?.data || {
+          message: error.message,
+        };
+        refund.updatedAt = new Date();
+        await refund.save();
+        await releaseRefundReservation(refund);
+        await auditedUpdate(
+          Payment,
+          { merchantOrderId },
+          { refundStatus: "refund_failed", updatedAt: new Date() },
+          auditContext(
+            req,
+            "staff",
+            `Refund ${merchantRefundId} rejected: ${error.message}`,
+          ),
+        );
+        throw error;
+      }
+
+      const updatedRefund = await applyRefundUpdate(
+        refund,
+        refundData,
+        auditContext(req, "staff", reason),
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Refund initiated successfully",
+        data: {
+          merchantRefundId: updatedRefund.merchantRefundId,
+          merchantOrderId: updatedRefund.merchantOrderId,
+          amount: updatedRefund.amount,
+          status: updatedRefund.status,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Refund error:", error.response?.data || error.message);
+
+      let errorMessage = "Refund initiation failed";
+      if (error.response?.data?.message) {
+        errorMessage = error.response.data.message;
+      } else if (error.response?.data?.code) {
+        errorMessage = `PhonePe Error: ${error.response.data.code}`;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: errorMessage,
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.response?.data || error.message
+            : undefined,
+      });
+    }
+  },
+);
+
+// Refund Status Check
+app.get(
+  "/api/admin/refunds/:merchantRefundId/status",
+  requireStaff("finance"),
+  async (req, res) => {
+    try {
+      const { merchantRefundId } = req.params;
+
+      const refund = await Refund.findOne({ merchantRefundId });
+      if (!refund) {
+        return res.status(404).json({
+          success: false,
+          message: "Refund record not found",
+        });
+      }
+
+      // Failed refunds never reached PhonePe or are final - nothing to check
+      let updatedRefund = refund;
+      if (refund.status === "refund_pending") {
+        const refundData =
+          await paymentProvider.getRefundStatus(merchantRefundId);
+        updatedRefund = await applyRefundUpdate(
+          refund,
+          refundData,
+          auditContext(req, "staff"),
+        );
+      }
+
+      res.json({
+        success: true,
+        data: {
+          merchantRefundId: updatedRefund.merchantRefundId,
+          merchantOrderId: updatedRefund.merchantOrderId,
+          applicationId: updatedRefund.applicationId,
+          amount: updatedRefund.amount,
+          reason: updatedRefund.reason,
+          status: updatedRefund.status,
+          createdAt: updatedRefund.createdAt,
+          updatedAt: updatedRefund.updatedAt,
+        },
+      });
+    } catch (error) {
+      let errorMessage = "Refund status check failed";
+      if (error.response?.data?.message) {
+        errorMessage = error.response.data.message;
+      } else if (error.response?.data?.code) {
+        errorMessage = `PhonePe Error: ${error.response.data.code}`;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: errorMessage,
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.response?.data || error.message
+            : undefined,
+      });
+    }
+  },
+);
+
+// Scoring weights for a cycle
+app.get(
+  "/api/admin/scoring/weights/:cycleCode",
+  requireStaff("reviewer", "finance"),
+  async (req, res) => {
+    try {
+      const weights = await getScoringWeights(req.params.cycleCode);
+      res.json({
+        success: true,
+        data: { cycleCode: req.params.cycleCode, weights },
+      });
+    } catch (error) {
+      console.error("Scoring weights fetch error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch scoring weights",
+      });
+    }
+  },
+);
+
+app.put(
+  "/api/admin/scoring/weights/:cycleCode",
+  requireStaff(),
+  async (req, res) => {
+    try {
+      const { cycleCode } = req.params;
+      const weights = {
+        income: Number(req.body.income),
+        achievements: Number(req.body.achievements),
+        sop: Number(req.body.sop),
+        recommendation: Number(req.body.recommendation),
+      };
+
+      const errors = scoring.validateWeights(weights);
+      if (!/^\d{6}$/.test(cycleCode)) {
+        errors.push("Cycle code must be YYYYMM");
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      await ScoringWeights.findOneAndUpdate(
+        { cycleCode },
+        { ...weights, updatedBy: req.staff.email, updatedAt: new Date() },
+        { upsert: true },
+      );
+
+      res.json({
+        success: true,
+        message:
+          "Scoring weights saved. Run scripts/recomputeScores.js to re-score the cycle.",
+        data: { cycleCode, weights },
+      });
+    } catch (error) {
+      console.error("Scoring weights update error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save scoring weights",
+      });
+    }
+  },
+);
+
+// Reviewer's rubric ratings for an application assigned to them
+app.put(
+  "/api/admin/applications/:applicationId/ratings",
+  requireStaff("reviewer"),
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const ratings = {};
+      const errors = [];
+
+      for (const key of scoring.RATED_COMPONENTS) {
+        const value = Number(req.body[key]);
+        if (
+          req.body[key] === undefined ||
+          req.body[key] === null ||
+          !Number.isFinite(value) ||
+          value < 0 ||
+          value > scoring.MAX_RATING
+        ) {
+          errors.push(`${key} must be between 0 and ${scoring.MAX_RATING}`);
+        } else {
+          ratings[key] = value;
+        }
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      const { applicationId } = req.params;
+      const review = await Review.findOne({
+        applicationId,
+        reviewer: req.staff.email,
+        status: { $ne: "recused" },
+      });
+
+      if (!review) {
+        return res.status(403).json({
+          success: false,
+          message: "This application is not assigned to you",
+        });
+      }
+
+      // Once an adjudicator is settling it, the reviewers' ratings stand
+      if (
+        review.role === "reviewer" &&
+        (await Review.exists({
+          applicationId,
+          role: "adjudicator",
+          status: { $ne: "recused" },
+        }))
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: "This application has been sent to an adjudicator",
+        });
+      }
+
+      review.ratings = ratings;
+      review.comment =
+        typeof req.body.comment === "string" ? req.body.comment : undefined;
+      review.status = "submitted";
+      review.submittedAt = new Date();
+      await review.save();
+
+      const application = await Application.findById(review.application);
+      const outcome = await refreshReviewOutcome(
+        application,
+        auditContext(req, "staff", `${review.role} ratings submitted`),
+      );
+
+      res.json({
+        success: true,
+        data: {
+          applicationId,
+          reviewState: outcome.reviewState,
+          score: outcome.application?.score,
+        },
+      });
+    } catch (error) {
+      console.error("Rating update error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save ratings",
+      });
+    }
+  },
+);
+
+// Reviewer: step away from an assigned application (conflict of
+// interest); it is handed to another reviewer
+app.post(
+  "/api/admin/applications/:applicationId/recuse",
+  requireStaff("reviewer"),
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      if (!req.body.reason) {
+        return res.status(400).json({
+          success: false,
+          message: "A reason is required",
+        });
+      }
+
+      const review = await Review.findOne({
+        applicationId: req.params.applicationId,
+        reviewer: req.staff.email,
+        status: "assigned",
+      });
+
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: "No open review of this application is assigned to you",
+        });
+      }
+
+      await recuseReview(
+        review,
+        req.body.reason,
+        auditContext(req, "staff", `Recusal: ${req.body.reason}`),
+      );
+      console.log(
+        `🙅 ${req.staff.email} recused from ${review.applicationId}: ${req.body.reason}`,
+      );
+
+      res.json({ success: true, message: "Recused" });
+    } catch (error) {
+      console.error("Recusal error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to recuse",
+      });
+    }
+  },
+);
+
+// Reviewer: their own review queue
+app.get(
+  "/api/admin/reviews/mine",
+  requireStaff("reviewer"),
+  async (req, res) => {
+    try {
+      const filter = { reviewer: req.staff.email };
+      filter.status = ["assigned", "submitted"].includes(req.query.status)
+        ? req.query.status
+        : "assigned";
+
+      const reviews = await Review.find(filter)
+        .populate("application", "name category district status reviewState")
+        .sort({ assignedAt: 1 })
+        .limit(200)
+        .lean();
+
+      res.json({
+        success: true,
+        data: reviews.map((review) => ({
+          applicationId: review.applicationId,
+          cycleCode: review.cycleCode,
+          role: review.role,
+          status: review.status,
+          assignedAt: review.assignedAt,
+          submittedAt: review.submittedAt,
+          name: review.application?.name,
+          category: review.application?.category,
+          district: review.application?.district,
+          reviewState: review.application?.reviewState,
+        })),
+      });
+    } catch (error) {
+      console.error("Review queue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch reviews",
+      });
+    }
+  },
+);
+
+// Admin: review progress for a cycle, per state and per reviewer
+app.get("/api/admin/reviews/:cycleCode", requireStaff(), async (req, res) => {
+  try {
+    const { cycleCode } = req.params;
+    const [states, reviewers] = await Promise.all([
+      Application.aggregate([
+        { $match: { cycleCode, paymentStatus: "completed" } },
+        { $group: { _id: "$reviewState", count: { $sum: 1 } } },
+      ]),
+      Review.aggregate([
+        { $match: { cycleCode } },
+        {
+          $group: {
+            _id: { reviewer: "$reviewer", status: "$status" },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    const byReviewer = {};
+    for (const { _id, count } of reviewers) {
+      byReviewer[_id.reviewer] = byReviewer[_id.reviewer] || {
+        reviewer: _id.reviewer,
+        assigned: 0,
+        submitted: 0,
+        recused: 0,
+      };
+      byReviewer[_id.reviewer][_id.status] = count;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cycleCode,
+        settings: REVIEW_CONFIG,
+        states: Object.fromEntries(
+          states.map(({ _id, count }) => [_id || "unassigned", count]),
+        ),
+        reviewers: Object.values(byReviewer).sort((a, b) =>
+          a.reviewer.localeCompare(b.reviewer),
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Review summary error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch review progress",
+    });
+  }
+});
+
+// Admin: share out paid applications still short of reviewers
+app.post(
+  "/api/admin/reviews/:cycleCode/assign",
+  requireStaff(),
+  async (req, res) => {
+    try {
+      const result = await assignCycleReviewers(
+        req.params.cycleCode,
+        auditContext(req, "staff", "Reviewer assignment"),
+      );
+      console.log(
+        `👥 ${result.assignments} reviews assigned across ${result.applications} applications in ${result.cycleCode} by ${req.staff.email}`,
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error("Reviewer assignment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to assign reviewers",
+      });
+    }
+  },
+);
+
+// Admin: application list
+const APPLICATION_LIST_FIELDS =
+  "applicationId name email phone category school state district income_band status paymentStatus score cycleCode createdAt";
+
+const APPLICATION_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  score: { score: -1, createdAt: 1 },
+};
+
+app.get(
+  "/api/admin/applications",
+  requireStaff("reviewer", "finance"),
+  async (req, res) => {
+    try {
+      const filter = buildApplicationFilter(req.query);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || 25, 1),
+        100,
+      );
+      const sort =
+        APPLICATION_SORTS[req.query.sort] || APPLICATION_SORTS.newest;
+
+      const [applications, total] = await Promise.all([
+        Application.find(filter)
+          .select(APPLICATION_LIST_FIELDS)
+          .sort(sort)
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Application.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        data: applications,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error("Admin application list error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch applications",
+      });
+    }
+  },
+);
+
+// Admin: spreadsheet export of the application list
+function exportDate(value) {
+  return value
+    ? new Date(value).toLocaleString("sv-SE", { timeZone: "Asia/Kolkata" })
+    : null;
+}
+
+// key: [header, value(application, payment), options]. Columns marked
+// { payment: true } need the application's latest completed payment, or
+// its latest attempt when none completed.
+const PAYMENT_COLUMN = { payment: true };
+
+const EXPORT_COLUMNS = {
+  applicationId: ["Application ID", (a) => a.applicationId],
+  cycleCode: ["Cycle", (a) => a.cycleCode],
+  name: ["Name", (a) => a.name],
+  email: ["Email", (a) => a.email],
+  phone: ["Phone", (a) => a.phone],
+  dob: ["Date of birth", (a) => a.dob],
+  gender: ["Gender", (a) => a.gender],
+  category: ["Category", (a) => a.category],
+  school: ["School / College", (a) => a.school],
+  state: ["State", (a) => a.state],
+  district: ["District", (a) => a.district],
+  pincode: ["Pincode", (a) => a.pincode],
+  address: ["Address", (a) => a.address],
+  income_band: ["Income band", (a) => a.income_band],
+  income_amount: ["Annual income", (a) => a.income_amount],
+  achievements: ["Achievements", (a) => a.achievements],
+  recommendation: ["Recommendation", (a) => a.recommendation],
+  sop: ["Statement of purpose", (a) => a.sop],
+  status: ["Status", (a) => a.status],
+  score: ["Score", (a) => a.score],
+  reviewNote: ["Review note", (a) => a.reviewNote],
+  reviewedBy: ["Reviewed by", (a) => a.reviewedBy],
+  reviewedAt: ["Reviewed at (IST)", (a) => exportDate(a.reviewedAt)],
+  createdAt: ["Submitted at (IST)", (a) => exportDate(a.createdAt)],
+  source: ["Source", (a) => a.source || "online"],
+  importBatch: ["Import batch", (a) => a.importBatch],
+  offlinePaymentReference: [
+    "Offline payment reference",
+    (a) => a.offlinePayment?.reference,
+  ],
+  paymentStatus: ["Payment status", (a) => a.paymentStatus],
+  merchantOrderId: [
+    "Payment reference",
+    (a, p) => p?.merchantOrderId,
+    PAYMENT_COLUMN,
+  ],
+  phonePeOrderId: [
+    "PhonePe order ID",
+    (a, p) => p?.phonePeOrderId,
+    PAYMENT_COLUMN,
+  ],
+  paymentAmount: [
+    "Amount paid (Rs.)",
+    (a, p) => (p ? p.amount / 100 : null),
+    PAYMENT_COLUMN,
+  ],
+  paymentState: ["Payment state", (a, p) => p?.status, PAYMENT_COLUMN],
+  paidAt: ["Paid at (IST)", (a, p) => exportDate(p?.paidAt), PAYMENT_COLUMN],
+  receiptCode: ["Receipt number", (a, p) => p?.receiptCode, PAYMENT_COLUMN],
+  refundStatus: ["Refund status", (a, p) => p?.refundStatus, PAYMENT_COLUMN],
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  "applicationId",
+  "cycleCode",
+  "name",
+  "email",
+  "phone",
+  "category",
+  "school",
+  "state",
+  "district",
+  "income_band",
+  "status",
+  "score",
+  "paymentStatus",
+  "merchantOrderId",
+  "paymentAmount",
+  "paidAt",
+  "createdAt",
+];
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+const EXPORT_BATCH_SIZE = 500;
+
+// Payments for a batch of applications, keyed by applicationId
+async function exportPayments(applications) {
+  const payments = await Payment.find({
+    application: { $in: applications.map((a) => a._id) },
+  })
+    .select(
+      "applicationId merchantOrderId phonePeOrderId amount status paidAt receiptCode refundStatus createdAt",
+    )
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const byApplication = new Map();
+  for (const payment of payments) {
+    const current = byApplication.get(payment.applicationId);
+    if (
+      !current ||
+      (payment.status === "completed" && current.status !== "completed")
+    ) {
+      byApplication.set(payment.applicationId, payment);
+    }
+  }
+  return byApplication;
+}
+
+// Applications matching the filter, a batch at a time, off a cursor
+async function* applicationBatches(filter, sort) {
+  const cursor = Application.find(filter)
+    .sort(sort)
+    .lean()
+    .cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+  let batch = [];
+  for await (const application of cursor) {
+    batch.push(application);
+    if (batch.length === EXPORT_BATCH_SIZE) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) yield batch;
+}
+
+// Resolves once the client has read what we wrote, or went away
+function drained(res) {
+  if (!res.writableNeedDrain) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// Writes rows straight to the response: { addRow(values), end() }
+function createExportWriter(format, res, headers) {
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: true,
+    });
+    const sheet = workbook.addWorksheet("Applications", {
+      views: [{ state: "frozen", ySplit: 1 }],
+    });
+    sheet.columns = headers.map((header) => ({
+      header,
+      width: Math.max(header.length + 2, 14),
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    return {
+      addRow: (values) => sheet.addRow(values).commit(),
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  // BOM so Excel opens the UTF-8 (Marathi) text correctly
+  res.write(`\uFEFF${csvRow(headers)}\r\n`);
+  return {
+    addRow: (values) => res.write(`${csvRow(values)}\r\n`),
+    end: async () => res.end(),
+  };
+}
+
+app.get(
+  "/api/admin/applications/export/columns",
+  requireStaff("reviewer", "finance"),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        formats: EXPORT_FORMATS,
+        columns: Object.entries(EXPORT_COLUMNS).map(([key, [header]]) => ({
+          key,
+          header,
+          default: DEFAULT_EXPORT_COLUMNS.includes(key),
+        })),
+      },
+    });
+  },
+);
+
+// Streams every application matching the list filters (plus from/to)
+// as CSV or XLSX: ?format=csv|xlsx&columns=applicationId,name,...
+app.get(
+  "/api/admin/applications/export",
+  requireStaff("reviewer", "finance"),
+  async (req, res) => {
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const columns =
+      typeof req.query.columns === "string" && req.query.columns.trim()
+        ? [...new Set(req.query.columns.split(",").map((c) => c.trim()))]
+        : DEFAULT_EXPORT_COLUMNS;
+    const unknown = columns.filter((c) => !Object.hasOwn(EXPORT_COLUMNS, c));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown columns: ${unknown.join(", ")}`,
+      });
+    }
+
+    const filter = buildApplicationFilter(req.query);
+    const sort = APPLICATION_SORTS[req.query.sort] || APPLICATION_SORTS.newest;
+    // Payments are only looked up when a { payment: true } column asks
+    const withPayments = columns.some((c) => EXPORT_COLUMNS[c][2]?.payment);
+    const filename = `applications-${req.query.cycleCode || "all"}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set({
+      "Content-Type":
+        format === "xlsx"
+          ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          : "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename.replace(/[^\w.-]/g, "_")}"`,
+      "Cache-Control": "private, no-store",
+    });
+
+    let rows = 0;
+    try {
+      const writer = createExportWriter(
+        format,
+        res,
+        columns.map((c) => EXPORT_COLUMNS[c][0]),
+      );
+
+      for await (const batch of applicationBatches(filter, sort)) {
+        const payments = withPayments ? await exportPayments(batch) : new Map();
+        for (const application of batch) {
+          const payment = payments.get(application.applicationId);
+          writer.addRow(
+            columns.map((c) => EXPORT_COLUMNS[c][1](application, payment)),
+          );
+        }
+        rows += batch.length;
+
+        await drained(res);
+        if (res.destroyed) return;
+      }
+
+      await writer.end();
+      console.log(
+        `📤 Exported ${rows} applications as ${format} for ${req.staff.email}`,
+      );
+    } catch (error) {
+      console.error("Application export error:", error);
+      // Once rows have gone out the status can't change; cut the download
+      // short so it isn't mistaken for a complete file
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to export applications",
+        });
+      }
+    }
+  },
+);
+
+// Admin: bulk import of paper forms from a CSV upload (see
+// importApplications). dryRun defaults to true; send "false" to import.
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_CONFIG.maxFileSizeMB * 1024 * 1024, files: 1 },
+}).single("file");
+
+function uploadImportFile(req, res, next) {
+  importUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (!(error instanceof multer.MulterError)) {
+      return next(error);
+    }
+
+    res.status(400).json({
+      success: false,
+      message:
+        error.code === "LIMIT_FILE_SIZE"
+          ? `The file must be smaller than ${IMPORT_CONFIG.maxFileSizeMB} MB`
+          : error.message,
+    });
+  });
+}
+
+app.post(
+  "/api/admin/applications/import",
+  requireStaff(),
+  uploadImportFile,
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Upload a CSV file",
+        });
+      }
+
+      const cycleCode = req.body.cycleCode || getCycleCode();
+      if (!/^\d{6}$/.test(cycleCode)) {
+        return res.status(400).json({
+          success: false,
+          message: "Cycle must be YYYYMM",
+        });
+      }
+
+      let records;
+      try {
+        records = parseImportCsv(req.file.buffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not read the CSV file: ${error.message}`,
+        });
+      }
+
+      if (!records.length || records.length > IMPORT_CONFIG.maxRows) {
+        return res.status(400).json({
+          success: false,
+          message: `The file must have between 1 and ${IMPORT_CONFIG.maxRows} rows`,
+        });
+      }
+
+      const dryRun = req.body.dryRun !== "false";
+      const result = await importApplications(records, {
+        cycleCode,
+        dryRun,
+        batch: req.body.batch || req.file.originalname,
+        by: req.staff.email,
+        context: auditContext(req, "staff", "Imported from a paper form"),
+      });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: result.error,
+          data: result,
+        });
+      }
+
+      if (!dryRun) {
+        console.log(
+          `📥 ${result.imported} applications imported into ${cycleCode} by ${req.staff.email}${result.failed ? ` (${result.failed} rows failed, nothing imported)` : ""}`,
+        );
+      }
+
+      res.json({
+        success: true,
+        message: result.failed
+          ? `${result.failed} of ${result.total} rows have errors${dryRun ? "" : "; nothing was imported"}`
+          : dryRun
+            ? `All ${result.total} rows are ready to import`
+            : `Imported ${result.imported} applications`,
+        data: result,
+      });
+    } catch (error) {
+      console.error("Application import error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to import applications",
+      });
+    }
+  },
+);
+
+// Admin: full application with payment history
+app.get(
+  "/api/admin/applications/:applicationId",
+  requireStaff("reviewer", "finance"),
+  async (req, res) => {
+    try {
+      const { applicationId } = req.params;
+      const application = await Application.findOne({ applicationId }).lean();
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: "Application not found",
+        });
+      }
+
+      const [payments, refunds, documents, messages, payout, reviews, audit] =
+        await Promise.all([
+          Payment.find({ applicationId })
+            .select("-phonePeResponse")
+            .sort({ createdAt: -1 })
+            .lean(),
+          Refund.find({ applicationId })
+            .select("-phonePeResponse")
+            .sort({ createdAt: -1 })
+            .lean(),
+          Document.find({ application: application._id })
+            .select("-storageKey -storage")
+            .sort({ type: 1, createdAt: 1 })
+            .lean(),
+          OutboxMessage.find({ applicationId })
+            .select("-html -text -attachments.content")
+            .sort({ createdAt: -1 })
+            .lean(),
+          Payout.findOne({ applicationId }),
+          Review.find({ applicationId }).sort({ assignedAt: 1 }).lean(),
+          AuditLog.find({ applicationId }).sort({ createdAt: 1 }).lean(),
+        ]);
+
+      // Reviews are blind: reviewers only see their own, while admins and
+      // the application's adjudicator see them all
+      const ownReview = reviews.find((r) => r.reviewer === req.staff.email);
+      const seesAllReviews =
+        req.staff.role === "admin" || ownReview?.role === "adjudicator";
+
+      res.json({
+        success: true,
+        data: {
+          application,
+          payments,
+          refunds,
+          documents,
+          messages,
+          payout: payout ? payoutSummary(payout) : null,
+          reviews: seesAllReviews ? reviews : ownReview ? [ownReview] : [],
+          rubric: scoring.RUBRIC,
+          audit,
+        },
+      });
+    } catch (error) {
+      console.error("Admin application fetch error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch application",
+      });
+    }
+  },
+);
+
+// Admin: view one uploaded document
+app.get(
+  "/api/admin/documents/:documentId",
+  requireStaff("reviewer", "finance"),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.documentId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Document not found",
+        });
+      }
+
+      const document = await Document.findById(req.params.documentId);
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: "Document not found",
+        });
+      }
+
+      const stream = await documentStorage.get(document.storageKey);
+      const filename = `${document.applicationId}-${document.type}${path.extname(document.storageKey)}`;
+
+      res.set({
+        "Content-Type": document.contentType,
+        "Content-Length": document.size,
+        "Content-Disposition": `inline; filename="${filename}"`,
+        "Cache-Control": "private, no-store",
+        "X-Content-Type-Options": "nosniff",
+      });
+
+      stream.on("error", (error) => {
+        console.error("❌ Document stream error:", error.message);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error("Document fetch error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch document",
+      });
+    }
+  },
+);
+
+// Admin: review decision
+const REVIEW_ACTIONS = {
+  shortlist: "shortlisted",
+  approve: "approved",
+  reject: "rejected",
+};
+
+app.post(
+  "/api/admin/applications/:applicationId/decision",
+  requireStaff("reviewer"),
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const { action, note } = req.body;
+      const newStatus = REVIEW_ACTIONS[action];
+
+      if (!newStatus) {
+        return res.status(400).json({
+          success: false,
+          message: `Action must be one of: ${Object.keys(REVIEW_ACTIONS).join(", ")}`,
+        });
+      }
+
+      const application = await Application.findOne({
+        applicationId: req.params.applicationId,
+      });
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: "Application not found",
+        });
+      }
+
+      if (application.paymentStatus !== "completed") {
+        return res.status(400).json({
+          success: false,
+          message: "Only paid applications can be reviewed",
+        });
+      }
+
+      // Reviewers only rate; the decision is an admin's, or an
+      // adjudicator's once the blind reviews are complete
+      if (req.staff.role !== "admin") {
+        if (!req.staff.adjudicator) {
+          return res.status(403).json({
+            success: false,
+            message: "Only admins and adjudicators can decide applications",
+          });
+        }
+        if (application.reviewState !== "complete") {
+          return res.status(409).json({
+            success: false,
+            message: "Reviews for this application are not complete yet",
+          });
+        }
+      }
+
+      const before = application.toObject();
+      const previousStatus = application.status;
+      application.status = newStatus;
+      application.reviewNote = note;
+      application.reviewedBy = req.staff.email;
+      application.reviewedAt = new Date();
+      application.updatedAt = new Date();
+      await application.save();
+      await recordAudit(
+        Application,
+        before,
+        application,
+        auditContext(req, "staff", note),
+      );
+
+      if (previousStatus !== newStatus) {
+        await notifyStatusChange(application, "status");
+      }
+
+      res.json({
+        success: true,
+        message: `Application ${newStatus}`,
+        data: {
+          applicationId: application.applicationId,
+          status: application.status,
+          reviewedAt: application.reviewedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Review decision error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save decision",
+      });
+    }
+  },
+);
+
+// Admin: merit lists
+app.get(
+  "/api/admin/merit-lists/:cycleCode",
+  requireStaff("reviewer", "finance"),
+  async (req, res) => {
+    try {
+      const meritList = await MeritList.findOne({
+        cycleCode: req.params.cycleCode,
+      }).lean();
+
+      if (!meritList) {
+        return res.status(404).json({
+          success: false,
+          message: "No merit list generated for this cycle yet",
+        });
+      }
+
+      res.json({ success: true, data: meritList });
+    } catch (error) {
+      console.error("Merit list fetch error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch merit list",
+      });
+    }
+  },
+);
+
+app.post(
+  "/api/admin/merit-lists/:cycleCode/generate",
+  requireStaff("reviewer"),
+  async (req, res) => {
+    try {
+      const { cycleCode } = req.params;
+      const cycle = await Cycle.findOne({ code: cycleCode });
+
+      if (!cycle) {
+        return res.status(404).json({
+          success: false,
+          message: "Cycle not found",
+        });
+      }
+
+      if (cycle.status === "open" || cycle.status === "upcoming") {
+        return res.status(400).json({
+          success: false,
+          message:
+            "The merit list can only be generated after the cycle closes",
+        });
+      }
+
+      const existing = await MeritList.findOne({ cycleCode });
+      if (existing && existing.status !== "draft") {
+        return res.status(409).json({
+          success: false,
+          message: `The merit list is already ${existing.status}`,
+        });
+      }
+
+      const awards = getAwardsPerCategory(cycle);
+      const entries = await buildMeritEntries(cycleCode, awards);
+
+      const meritList = await MeritList.findOneAndUpdate(
+        { cycleCode, status: "draft" },
+        {
+          entries,
+          awardsPerCategory: awards,
+          generatedAt: new Date(),
+          generatedBy: req.staff.email,
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true },
+      );
+
+      res.json({ success: true, data: meritList });
+    } catch (error) {
+      console.error("Merit list generation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate merit list",
+      });
+    }
+  },
+);
+
+app.post(
+  "/api/admin/merit-lists/:cycleCode/freeze",
+  requireStaff(),
+  async (req, res) => {
+    try {
+      // Scores still move while reviews are outstanding
+      const unreviewed = await Application.countDocuments({
+        cycleCode: req.params.cycleCode,
+        paymentStatus: "completed",
+        status: { $ne: "rejected" },
+        reviewState: { $in: ["in_review", "adjudication"] },
+      });
+      if (unreviewed) {
+        return res.status(409).json({
+          success: false,
+          message: `${unreviewed} applications are still being reviewed; regenerate the list once they are done`,
+        });
+      }
+
+      const meritList = await MeritList.findOneAndUpdate(
+        { cycleCode: req.params.cycleCode, status: "draft" },
+        {
+          status: "frozen",
+          frozenAt: new Date(),
+          frozenBy: req.staff.email,
+        },
+        { new: true },
+      );
+
+      if (!meritList) {
+        return res.status(409).json({
+          success: false,
+          message: "Only a draft merit list can be frozen",
+        });
+      }
+
+      res.json({ success: true, data: meritList });
+    } catch (error) {
+      console.error("Merit list freeze error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to freeze merit list",
+      });
+    }
+  },
+);
+
+app.post(
+  "/api/admin/merit-lists/:cycleCode/publish",
+  requireStaff(),
+  async (req, res) => {
+    try {
+      const { cycleCode } = req.params;
+      const meritList = await MeritList.findOneAndUpdate(
+        { cycleCode, status: "frozen" },
+        {
+          status: "published",
+          publishedAt: new Date(),
+          publishedBy: req.staff.email,
+        },
+        { new: true },
+      );
+
+      if (!meritList) {
+        return res.status(409).json({
+          success: false,
+          message: "Only a frozen merit list can be published",
+        });
+      }
+
+      const selectedIds = meritList.entries
+        .filter((entry) => entry.selected)
+        .map((entry) => entry.applicationId);
+
+      await auditedUpdateMany(
+        Application,
+        { applicationId: { $in: selectedIds } },
+        { status: "selected", updatedAt: new Date() },
+        auditContext(req, "staff", `Selected on the ${cycleCode} merit list`),
+      );
+      await Cycle.updateOne(
+        { code: cycleCode },
+        { status: "results_published", updatedAt: new Date() },
+      );
+      await ensurePayouts(cycleCode);
+
+      console.log(
+        `🏆 Published results for cycle ${cycleCode}: ${selectedIds.length} selected`,
+      );
+
+      // Can take a while for a big cycle, so it runs after the response
+      notifyResultsPublished(meritList).catch((error) =>
+        console.error("❌ Result notices failed:", error.message),
+      );
+
+      res.json({ success: true, data: meritList });
+    } catch (error) {
+      console.error("Merit list publish error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to publish results",
+      });
+    }
+  },
+);
+
+// Public: selected students of a published cycle
+app.get("/api/results/:cycleCode", async (req, res) => {
+  try {
+    const meritList = await MeritList.findOne({
+      cycleCode: req.params.cycleCode,
+      status: "published",
+    }).lean();
+
+    if (!meritList) {
+      return res.status(404).json({
+        success: false,
+        message: "Results for this cycle have not been published yet",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cycleCode: meritList.cycleCode,
+        publishedAt: meritList.publishedAt,
+        selected: meritList.entries
+          .filter((entry) => entry.selected)
+          .map((entry) => ({
+            name: entry.name,
+            category: entry.category,
+            district: entry.district,
+            state: entry.state,
+            rank: entry.rank,
+          })),
+      },
+    });
+  } catch (error) {
+    console.error("Results fetch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch results",
+    });
+  }
+});
+
+// Public: an applicant's own result, by application ID + date of birth
+app.post(
+  "/api/results/lookup",
+  resultLookupLimiter,
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const { applicationId, dob } = req.body;
+
+      if (!applicationId || !/^\d{4}-\d{2}-\d{2}$/.test(dob || "")) {
+        return res.status(400).json({
+          success: false,
+          message: "Application ID and date of birth (YYYY-MM-DD) are required",
+        });
+      }
+
+      const application = await Application.findOne({ applicationId })
+        .select("applicationId name dob category cycleCode paymentStatus")
+        .lean();
+
+      // Same answer for a wrong ID and a wrong date of birth
+      if (!application || !isSameDate(application.dob, dob)) {
+        return res.status(404).json({
+          success: false,
+          message: "No application found with these details",
+        });
+      }
+
+      const meritList = await MeritList.findOne({
+        cycleCode: application.cycleCode,
+        status: "published",
+      }).lean();
+
+      if (!meritList) {
+        return res.json({
+          success: true,
+          data: {
+            applicationId: application.applicationId,
+            name: application.name,
+            cycleCode: application.cycleCode,
+            published: false,
+          },
+        });
+      }
+
+      const entry = meritList.entries.find(
+        (e) => e.applicationId === application.applicationId,
+      );
+
+      res.json({
+        success: true,
+        data: {
+          applicationId: application.applicationId,
+          name: application.name,
+          category: application.category,
+          cycleCode: application.cycleCode,
+          published: true,
+          publishedAt: meritList.publishedAt,
+          selected: Boolean(entry?.selected),
+          rank: entry ? entry.rank : null,
+          considered: Boolean(entry),
+        },
+      });
+    } catch (error) {
+      console.error("Result lookup error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to look up result",
+      });
+    }
+  },
+);
+
+// Applicant portal: send a code to the email on the application
+app.post(
+  "/api/applicant/otp/request",
+  otpLimiter,
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const normalized = normalizeContact(req.body.contact);
+      if (!normalized) {
+        return res.status(400).json({
+          success: false,
+          message: "Enter a valid email address or 10-digit mobile number",
+        });
+      }
+
+      const { contact } = normalized;
+      const application = await Application.findOne(contactFilter(contact))
+        .sort({ createdAt: -1 })
+        .select("email");
+
+      // Same answer whether or not we know this contact, and whether or not
+      // the code went out - anything else tells callers who has applied
+      if (application) {
+        try {
+          const result = await issueOtp("portal", contact, application.email);
+          if (result.throttled) {
+            console.warn("⚠️ Portal code requested again too soon");
+          } else if (!result.sent) {
+            console.error("❌ Failed to send portal verification code");
+          }
+        } catch (error) {
+          console.error("❌ Portal verification code error:", error);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: `If an application exists for these details, a verification code has been sent to its registered email address. If it doesn't arrive, wait ${OTP_CONFIG.resendSeconds} seconds and try again.`,
+      });
+    } catch (error) {
+      console.error("OTP request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send verification code",
+      });
+    }
+  },
+);
+
+// Applicant portal: exchange the code for a session
+app.post(
+  "/api/applicant/otp/verify",
+  otpLimiter,
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const normalized = normalizeContact(req.body.contact);
+      if (!normalized || !req.body.code) {
+        return res.status(400).json({
+          success: false,
+          message: "Contact and code are required",
+        });
+      }
+
+      const result = await verifyOtp(
+        "portal",
+        normalized.contact,
+        req.body.code,
+      );
+      if (!result.ok) {
+        return res.status(401).json({
+          success: false,
+          message: OTP_FAILURE_MESSAGES[result.reason],
+          attemptsLeft: result.attemptsLeft,
+        });
+      }
+
+      const token = crypto.randomBytes(32).toString("hex");
+      const expiresAt = new Date(
+        Date.now() + APPLICANT_SESSION_HOURS * 60 * 60 * 1000,
+      );
+
+      await ApplicantSession.create({
+        tokenHash: hashSessionToken(token),
+        contact: normalized.contact,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+        expiresAt,
+      });
+
+      res.json({
+        success: true,
+        data: { token, expiresAt },
+      });
+    } catch (error) {
+      console.error("OTP verification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Verification failed",
+      });
+    }
+  },
+);
+
+app.post("/api/applicant/logout", requireApplicant, async (req, res) => {
+  try {
+    await ApplicantSession.deleteOne({ tokenHash: req.applicant.tokenHash });
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Applicant logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Logout failed",
+    });
+  }
+});
+
+// What an applicant sees of their own application - no internal review data
+const APPLICANT_APPLICATION_FIELDS =
+  "-reviewerRatings -reviewState -reviewSpread -score -scoreBreakdown -reviewNote -reviewedBy -paymentOrderId -__v";
+
+// Applicant portal: choose SMS / WhatsApp updates and the message language
+// for all their applications
+app.put("/api/applicant/preferences", requireApplicant, async (req, res) => {
+  try {
+    const update = {};
+    for (const channel of ["sms", "whatsapp"]) {
+      if (req.body[channel] === undefined) continue;
+      if (typeof req.body[channel] !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: `${channel} must be true or false`,
+        });
+      }
+      update[`contactPreferences.${channel}`] = req.body[channel];
+    }
+
+    if (req.body.language !== undefined) {
+      if (!notifications.LOCALES.includes(req.body.language)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid message language",
+        });
+      }
+      update.language = req.body.language;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing to update",
+      });
+    }
+
+    const result = await Application.updateMany(
+      contactFilter(req.applicant.contact),
+      { ...update, updatedAt: new Date() },
+    );
+
+    res.json({
+      success: true,
+      message: "Contact preferences updated",
+      data: { updated: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error("Preferences update error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update preferences",
+    });
+  }
+});
+
+// Applicant portal: every application made with the verified email/phone
+app.get("/api/applicant/applications", requireApplicant, async (req, res) => {
+  try {
+    const applications = await Application.find(
+      contactFilter(req.applicant.contact),
+    )
+      .select("applicationId name category cycleCode paymentStatus createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, data: applications });
+  } catch (error) {
+    console.error("Applicant applications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch applications",
+    });
+  }
+});
+
+// Admin: notification templates available for preview
+app.get(
+  "/api/admin/notifications/templates",
+  requireStaff(...STAFF_ROLES),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        locales: notifications.LOCALES,
+        templates: notifications.listTemplates(),
+      },
+    });
+  },
+);
+
+// Sample values for previews without a real application
+const PREVIEW_SAMPLE = {
+  recipient: {
+    applicationId: "NF20250100001",
+    name: "Priya Patil",
+    email: "priya@example.com",
+    phone: "9876543210",
+    category: "Diploma",
+    school: "Government Polytechnic, Pune",
+    state: "Maharashtra",
+    district: "Pune",
+    createdAt: new Date(),
+  },
+  data: {
+    orderId: "OMO2501011234567890",
+    amount: CYCLE_CONFIG.fee * 100,
+    refund: {
+      amount: CYCLE_CONFIG.fee * 100,
+      merchantOrderId: "MO_NF20250100001_1_3F9A2C7E1B4D6A80",
+      merchantRefundId: "RF_MO_NF20250100001_1_3F9A2C7E1B4D6A80_1",
+    },
+    code: "123456",
+    expiryMinutes: OTP_CONFIG.expiryMinutes,
+    merchantOrderId: "MO_NF20250100001_1_3F9A2C7E1B4D6A80",
+    rank: 1,
+    payout: {
+      amount: PAYOUT_CONFIG.amount * 100,
+      payoutDetailsMask: "A/c ••••9012 • SBIN0001234",
+      utr: "SBIN125010012345",
+      paidAt: new Date(),
+    },
+  },
+};
+
+// Admin: render a template exactly as it would be sent. With ?applicationId
+// the application's own data (and latest payment) is used.
+app.get(
+  "/api/admin/notifications/preview/:event",
+  requireStaff(...STAFF_ROLES),
+  async (req, res) => {
+    try {
+      const { event } = req.params;
+      const channel = req.query.channel || "email";
+      const locale = req.query.locale || notifications.DEFAULT_LOCALE;
+
+      if (!notifications.LOCALES.includes(locale)) {
+        return res.status(400).json({
+          success: false,
+          message: "Unknown locale",
+        });
+      }
+
+      let recipient = PREVIEW_SAMPLE.recipient;
+      let data = {
+        ...PREVIEW_SAMPLE.data,
+        cycle: cycleDefaults(getCycleCode()),
+      };
+
+      if (req.query.applicationId) {
+        const application = await Application.findOne({
+          applicationId: req.query.applicationId,
+        }).lean();
+        if (!application) {
+          return res.status(404).json({
+            success: false,
+            message: "Application not found",
+          });
+        }
+
+        const payment = await Payment.findOne({ application: application._id })
+          .sort({ createdAt: -1 })
+          .lean();
+        recipient = application;
+        data = {
+          ...data,
+          ...(await confirmationData(
+            application,
+            payment?.amount || data.amount,
+            payment?.phonePeOrderId || data.orderId,
+          )),
+        };
+      }
+
+      const message = notifications.renderPreview(
+        event,
+        channel,
+        { ...recipient, language: locale },
+        data,
+      );
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: `No ${channel} template for ${event}`,
+        });
+      }
+
+      res.json({ success: true, data: message });
+    } catch (error) {
+      console.error("Template preview error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to render template",
+        error: error.message,
+      });
+    }
+  },
+);
+
+// Admin: delivery log of outgoing notifications, newest first
+app.get(
+  "/api/admin/notifications/outbox",
+  requireStaff("reviewer", "finance"),
+  async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const filter = {};
+      if (req.query.status) filter.status = String(req.query.status);
+      if (req.query.applicationId) {
+        filter.applicationId = String(req.query.applicationId);
+      }
+
+      const [messages, total] = await Promise.all([
+        OutboxMessage.find(filter)
+          .select("-html -text -attachments.content")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        OutboxMessage.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          messages,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+        },
+      });
+    } catch (error) {
+      console.error("Outbox fetch error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch messages",
+      });
+    }
+  },
+);
+
+// Admin: queue a message that gave up for another round of attempts
+app.post(
+  "/api/admin/notifications/outbox/:id/retry",
+  requireStaff(),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      const message = await OutboxMessage.findById(req.params.id);
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      if (message.status !== "failed" || message.redact) {
+        return res.status(400).json({
+          success: false,
+          message: message.redact
+            ? "Verification codes can't be re-sent"
+            : `Only failed messages can be retried (this one is ${message.status})`,
+        });
+      }
+
+      message.status = "queued";
+      message.maxAttempts = message.attempts + OUTBOX_CONFIG.maxAttempts;
+      message.nextAttemptAt = new Date();
+      message.updatedAt = new Date();
+      await message.save();
+
+      res.json({
+        success: true,
+        message: "Message queued for retry",
+      });
+    } catch (error) {
+      console.error("Outbox retry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retry message",
+      });
+    }
+  },
+);
+
+// Admin: send the payment confirmation again, e.g. when the applicant
+// says it never arrived or their contact details were corrected
+app.post(
+  "/api/admin/applications/:applicationId/resend-confirmation",
+  requireStaff(),
+  async (req, res) => {
+    try {
+      const application = await Application.findOne({
+        applicationId: req.params.applicationId,
+      });
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: "Application not found",
+        });
+      }
+
+      const payment = await Payment.findOne({
+        application: application._id,
+        status: "completed",
+      }).sort({ createdAt: -1 });
+      if (!payment) {
+        return res.status(400).json({
+          success: false,
+          message: "This application has no completed payment",
+        });
+      }
+
+      const { delivered, results } = await queueNotification(
+        "application_confirmed",
+        application,
+        await confirmationData(
+          application,
+          payment.amount,
+          payment.phonePeOrderId,
+        ),
+        {
+          createdBy: req.staff.email,
+          attachments: await receiptAttachments(payment, application),
+        },
+      );
+
+      if (Object.values(results).every((r) => r.status === "skipped")) {
+        return res.status(400).json({
+          success: false,
+          message: "No channel is available for this applicant",
+          data: { results },
+        });
+      }
+
+      res.json({
+        success: true,
+        message: delivered
+          ? "Confirmation sent"
+          : "Sending failed - the outbox will retry it",
+        data: { results },
+      });
+    } catch (error) {
+      console.error("Resend confirmation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to re-send confirmation",
+      });
+    }
+  },
+);
+
+function payoutDetailsUnavailable(res) {
+  return res.status(503).json({
+    success: false,
+    message: "Payout details can't be stored right now",
+  });
+}
+
+// Finance: payouts and batches for a cycle. Payout records for the cycle's
+// selected applicants are created on first look.
+app.get(
+  "/api/admin/payouts/:cycleCode",
+  requireStaff("finance"),
+  async (req, res) => {
+    try {
+      const { cycleCode } = req.params;
+      await ensurePayouts(cycleCode);
+
+      const [payouts, batches] = await Promise.all([
+        Payout.find({ cycleCode })
+          .populate("application", "name phone email category")
+          .sort({ applicationId: 1 }),
+        PayoutBatch.find({ cycleCode }).sort({ createdAt: -1 }).lean(),
+      ]);
+
+      const totals = {};
+      for (const payout of payouts) {
+        totals[payout.status] = (totals[payout.status] || 0) + payout.amount;
+      }
+
+      res.json({
+        success: true,
+        data: {
+          payouts: payouts.map((payout) => ({
+            ...payoutSummary(payout),
+            name: payout.application?.name,
+            phone: payout.application?.phone,
+            category: payout.application?.category,
+          })),
+          batches,
+          totals,
+        },
+      });
+    } catch (error) {
+      console.error("Payout list error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payouts",
+      });
+    }
+  },
+);
+
+// Finance: enter payout details on the applicant's behalf
+app.put(
+  "/api/admin/payouts/:applicationId/details",
+  requireStaff("finance"),
+  async (req, res) => {
+    try {
+      if (!encryption.configured) return payoutDetailsUnavailable(res);
+
+      const payout = await Payout.findOne({
+        applicationId: req.params.applicationId,
+      });
+      if (!payout) {
+        return res.status(404).json({
+          success: false,
+          message: "Payout not found",
+        });
+      }
+
+      const { errors, payout: updated } = await savePayoutDetails(
+        payout,
+        req.body,
+        req.staff.email,
+      );
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      res.json({ success: true, data: payoutSummary(updated) });
+    } catch (error) {
+      console.error("Payout details error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save payout details",
+      });
+    }
+  },
+);
+
+// Finance: put pending payouts that have details into a new batch. Sends
+// every eligible payout in the cycle unless applicationIds narrows it.
+app.post(
+  "/api/admin/payouts/:cycleCode/batches",
+  requireStaff("finance"),
   async (req, res) => {
     try {
-      const errors = validateApplicationData(req.body);
-      if (errors.length > 0) {
+      const { cycleCode } = req.params;
+      const filter = {
+        cycleCode,
+        status: "pending",
+        payoutDetails: { $exists: true },
+      };
+      if (Array.isArray(req.body.applicationIds)) {
+        filter.applicationId = { $in: req.body.applicationIds.map(String) };
+      }
+
+      if (!(await Payout.exists(filter))) {
         return res.status(400).json({
           success: false,
-          message: "Validation failed",
-          errors: errors,
+          message: "No pending payouts with payout details to batch",
         });
       }
 
-      const existingApplication = await Application.findOne({
-        $or: [{ email: req.body.email }, { phone: req.body.phone }],
+      // The batch is built from whatever this update moved, not from the
+      // check above: a concurrent batch may have taken some or all of them
+      const batchId = await issuePayoutBatchId(cycleCode);
+      const now = new Date();
+      const { modifiedCount } = await Payout.updateMany(filter, {
+        $set: { status: "processing", batchId, updatedAt: now },
+        $unset: { failureReason: 1 },
+        $push: {
+          history: {
+            at: now,
+            status: "processing",
+            by: req.staff.email,
+            note: batchId,
+          },
+        },
       });
-
-      if (existingApplication) {
+      if (!modifiedCount) {
         return res.status(409).json({
           success: false,
-          message: "Application already exists with this email or phone number",
+          message: "These payouts were just batched by someone else",
         });
       }
 
-      const applicationId = `NF2025${Date.now()}${Math.floor(Math.random() * 1000)}`;
-
-      const application = new Application({
-        ...req.body,
-        applicationId,
-        dob: new Date(req.body.dob),
+      const [summary] = await Payout.aggregate([
+        { $match: { batchId } },
+        {
+          $group: { _id: null, count: { $sum: 1 }, total: { $sum: "$amount" } },
+        },
+      ]);
+      const batch = await PayoutBatch.create({
+        batchId,
+        cycleCode,
+        count: summary?.count || 0,
+        totalAmount: summary?.total || 0,
+        createdBy: req.staff.email,
       });
 
-      await application.save();
+      console.log(
+        `💸 Payout batch ${batchId}: ${batch.count} payouts, ₹${batch.totalAmount / 100}`,
+      );
 
-      res.status(201).json({
-        success: true,
-        message: "Application submitted successfully",
-        data: {
-          applicationId: application.applicationId,
-          timestamp: application.createdAt,
-        },
-      });
+      res.status(201).json({ success: true, data: batch });
     } catch (error) {
-      console.error("Application submission error:", error);
+      console.error("Payout batch error:", error);
       res.status(500).json({
         success: false,
-        message: "Application submission failed",
-        error:
-          process.env.NODE_ENV === "development" ? error.message : undefined,
+        message: "Failed to create payout batch",
       });
     }
   },
 );
 
-// Payment Initiation (FIXED VERSION)
+// Allowed payout status changes. A failed payout goes back to pending so
+// it can be corrected and sent in a later batch.
+const PAYOUT_TRANSITIONS = {
+  processing: ["paid", "failed"],
+  failed: ["pending"],
+};
+
+// Finance: record the bank's outcome for a payout
 app.post(
-  "/api/payment/initiate",
-  paymentLimiter,
+  "/api/admin/payouts/:applicationId/status",
+  requireStaff("finance"),
   sanitizeInput,
   async (req, res) => {
     try {
-      const { applicationId, amount, name, email, phone, merchantOrderId } =
-        req.body;
-
-      // Validation
-      if (
-        !applicationId ||
-        !amount ||
-        !name ||
-        !email ||
-        !phone ||
-        !merchantOrderId
-      ) {
-        return res.status(400).json({
+      const { status, utr, reason } = req.body;
+      const payout = await Payout.findOne({
+        applicationId: req.params.applicationId,
+      });
+      if (!payout) {
+        return res.status(404).json({
           success: false,
-          message: "Missing required fields",
+          message: "Payout not found",
         });
       }
 
-      if (amount !== 99) {
+      if (!(PAYOUT_TRANSITIONS[payout.status] || []).includes(status)) {
         return res.status(400).json({
           success: false,
-          message: "Invalid amount",
+          message: `A ${payout.status} payout can't be marked ${status}`,
         });
       }
-
-      // CHECK FOR EXISTING PAYMENT FIRST
-      const existingPayment = await Payment.findOne({ merchantOrderId });
-      if (existingPayment) {
-        return res.status(409).json({
+      if (status === "paid" && !/^[A-Za-z0-9]{6,30}$/.test(utr || "")) {
+        return res.status(400).json({
           success: false,
-          message: "Payment already exists for this order ID",
-          existingPayment: {
-            merchantOrderId: existingPayment.merchantOrderId,
-            status: existingPayment.status,
-            createdAt: existingPayment.createdAt,
-          },
+          message: "A valid UTR reference is required",
         });
       }
-
-      // Check for duplicate payments by application
-      const duplicatePayment = await checkDuplicatePayment(applicationId);
-      if (duplicatePayment) {
-        return res.status(409).json({
+      if (status === "failed" && !reason) {
+        return res.status(400).json({
           success: false,
-          message: `Payment already exists for this application. Status: ${duplicatePayment.status}`,
-          existingPayment: {
-            merchantOrderId: duplicatePayment.merchantOrderId,
-            status: duplicatePayment.status,
-            createdAt: duplicatePayment.createdAt,
-          },
+          message: "A failure reason is required",
         });
       }
 
-      // Generate OAuth token
-      const authToken = await generateAuthToken();
-
-      // V2 Payment payload
-      const requestBody = {
-        merchantOrderId: merchantOrderId,
-        amount: amount * 100,
-        expireAfter: 1800,
-        metaInfo: {
-          udf1: applicationId,
-          udf2: name,
-          udf3: email,
-          udf4: phone,
-          udf5: "Scholarship Application",
-        },
-        paymentFlow: {
-          type: "PG_CHECKOUT",
-          message: "Naukrivalaa Foundation Scholarship Application Fee",
-          merchantUrls: {
-            redirectUrl: `${process.env.FRONTEND_URL}/payment-status.html?transactionId=${merchantOrderId}`,
-          },
-        },
-      };
-
-      const requestHeaders = {
-        "Content-Type": "application/json",
-        Authorization: `O-Bearer ${authToken}`,
-      };
-
-      console.log("🔑 Headers:", requestHeaders);
-      console.log("🔍 PHONEPE REQUEST DEBUG:");
-      console.log("📍 URL:", PHONEPE_URLS[PHONEPE_CONFIG.env].payment);
-      console.log("📦 Body:", JSON.stringify(requestBody, null, 2));
-      console.log("🔑 Headers:", {
-        "Content-Type": requestHeaders["Content-Type"],
-        Authorization: requestHeaders.Authorization.substring(0, 30) + "...",
-      });
-      console.log("🔍 Full Request Config:", {
-        url: PHONEPE_URLS[PHONEPE_CONFIG.env || "PROD"].payment,
-        headers: requestHeaders,
-        body: requestBody,
-      });
-
-      const response = await axios.post(
-        PHONEPE_URLS[PHONEPE_CONFIG.env].payment,
-        requestBody,
-        {
-          headers: requestHeaders,
-          timeout: 30000,
-        },
-      );
-
-      if (response.data && response.data.redirectUrl && response.data.orderId) {
-        // SAVE THE PAYMENT AFTER SUCCESSFUL PHONEPE RESPONSE
-        const payment = new Payment({
-          applicationId,
-          merchantOrderId,
-          phonePeOrderId: response.data.orderId,
-          amount: amount * 100,
-          status: "initiated",
-          phonePeResponse: response.data,
-        });
-        await payment.save();
-
-        res.json({
-          success: true,
-          message: "Payment initiated successfully",
-          data: {
-            orderId: response.data.orderId,
-            redirectUrl: response.data.redirectUrl,
-            state: response.data.state,
-            expireAt: response.data.expireAt,
-          },
-        });
-      } else {
-        throw new Error(
-          "Invalid PhonePe response: " + JSON.stringify(response.data),
-        );
+      const batchId = payout.batchId;
+      if (status === "paid") {
+        payout.utr = utr.toUpperCase();
+        payout.paidAt = new Date();
       }
-    } catch (error) {
-      console.error("❌ PHONEPE ERROR DETAILS:");
-      console.error("Status:", error.response?.status);
-      console.error("Data:", JSON.stringify(error.response?.data, null, 2));
-      console.error("Message:", error.message);
+      if (status === "failed") payout.failureReason = reason;
+      if (status === "pending") payout.batchId = undefined;
+      setPayoutStatus(payout, status, req.staff.email, utr || reason);
+      await payout.save();
+      await refreshPayoutBatch(batchId);
 
-      let errorMessage = "Payment initiation failed";
-      if (error.response?.data?.message) {
-        errorMessage = error.response.data.message;
-      } else if (error.response?.data?.code) {
-        errorMessage = `PhonePe Error: ${error.response.data.code}`;
+      if (status === "paid") {
+        const application = await Application.findById(payout.application);
+        if (application) {
+          await queueNotification(
+            "scholarship_paid",
+            application,
+            { payout: payoutSummary(payout) },
+            { dedupeKey: `${payout.applicationId}:scholarship_paid` },
+          ).catch((error) =>
+            console.error("❌ Failed to queue payout notice:", error.message),
+          );
+        }
       }
 
+      res.json({ success: true, data: payoutSummary(payout) });
+    } catch (error) {
+      console.error("Payout status error:", error);
       res.status(500).json({
         success: false,
-        message: errorMessage,
-        error:
-          process.env.NODE_ENV === "development"
-            ? error.response?.data || error.message
-            : undefined,
+        message: "Failed to update payout",
       });
     }
   },
 );
 
-// Payment Status Check
-app.get("/api/payment/status/:merchantOrderId", async (req, res) => {
+// Decrypted details for the payout sheet. One row that can't be decrypted
+// (e.g. saved under a different key) is flagged instead of failing the sheet.
+function readPayoutDetails(payout) {
+  if (!payout.payoutDetails) return {};
   try {
-    const { merchantOrderId } = req.params;
-
-    if (!merchantOrderId) {
-      return res.status(400).json({
-        success: false,
-        message: "Order ID is required",
-      });
-    }
-
-    const localPayment = await Payment.findOne({ merchantOrderId });
-    if (!localPayment) {
-      return res.status(404).json({
-        success: false,
-        message: "Payment record not found",
-      });
-    }
-
-    const authToken = await generateAuthToken();
-
-    const requestHeaders = {
-      "Content-Type": "application/json",
-      Authorization: `O-Bearer ${authToken}`,
-    };
+    return JSON.parse(encryption.decrypt(payout.payoutDetails));
+  } catch (error) {
+    console.error(
+      `❌ Unreadable payout details for ${payout.applicationId}:`,
+      error.message,
+    );
+    return { accountHolder: "UNREADABLE - re-enter details" };
+  }
+}
 
-    const statusUrl = `${PHONEPE_URLS[PHONEPE_CONFIG.env].status}/${merchantOrderId}/status?details=true&errorContext=true`;
+const PAYOUT_SHEET_COLUMNS = [
+  "Application ID",
+  "Name",
+  "Phone",
+  "Amount (INR)",
+  "Method",
+  "Account holder",
+  "Account number",
+  "IFSC",
+  "UPI ID",
+  "Status",
+  "Batch",
+  "UTR",
+  "Paid at",
+];
 
-    const response = await axios.get(statusUrl, {
-      headers: requestHeaders,
-      timeout: 30000,
-    });
+// Finance: payout sheet for a cycle (optionally one batch) with the
+// decrypted bank / UPI details, as CSV
+app.get(
+  "/api/admin/payouts/:cycleCode/sheet",
+  requireStaff("finance"),
+  async (req, res) => {
+    try {
+      if (!encryption.configured) return payoutDetailsUnavailable(res);
 
-    const orderState = response.data.state;
-    let localStatus = "initiated";
-    let applicationStatus = "pending";
-    let shouldSendEmail = false;
+      const { cycleCode } = req.params;
+      const filter = { cycleCode };
+      if (req.query.batchId) filter.batchId = String(req.query.batchId);
 
-    switch (orderState) {
-      case "COMPLETED":
-        localStatus = "completed";
-        applicationStatus = "paid";
-        shouldSendEmail = localPayment.status !== "completed";
-        break;
+      const payouts = await Payout.find(filter)
+        .populate("application", "name phone")
+        .sort({ applicationId: 1 });
 
-      case "FAILED":
-        localStatus = "failed";
-        applicationStatus = "pending";
-        break;
+      const lines = [csvRow(PAYOUT_SHEET_COLUMNS)];
+      for (const payout of payouts) {
+        const details = readPayoutDetails(payout);
+        lines.push(
+          csvRow([
+            payout.applicationId,
+            payout.application?.name,
+            payout.application?.phone,
+            payout.amount / 100,
+            payout.method,
+            details.accountHolder,
+            details.accountNumber,
+            details.ifsc,
+            details.upiId,
+            payout.status,
+            payout.batchId,
+            payout.utr,
+            payout.paidAt?.toISOString(),
+          ]),
+        );
+      }
 
-      case "PENDING":
-        localStatus = "pending";
-        applicationStatus = "pending";
-        break;
+      console.log(
+        `📄 Payout sheet for ${cycleCode}${req.query.batchId ? ` (${req.query.batchId})` : ""} downloaded by ${req.staff.email}`,
+      );
 
-      default:
-        console.warn(`Unknown order state: ${orderState}`);
-        localStatus = "pending";
-        applicationStatus = "pending";
+      const filename = `payouts-${cycleCode}${req.query.batchId ? `-${req.query.batchId}` : ""}.csv`;
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename.replace(/[^\w.-]/g, "_")}"`,
+        "Cache-Control": "private, no-store",
+      });
+      res.send(`${lines.join("\r\n")}\r\n`);
+    } catch (error) {
+      console.error("Payout sheet error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to build payout sheet",
+      });
     }
+  },
+);
 
-    const updatedPayment = await Payment.findOneAndUpdate(
-      { merchantOrderId },
-      {
-        status: localStatus,
-        phonePeOrderId: response.data.orderId,
-        phonePeResponse: response.data,
-        updatedAt: new Date(),
-      },
-      { new: true },
-    );
+// Applicant portal: bank or UPI details for a selected application's payout
+app.put(
+  "/api/applicant/applications/:applicationId/payout-details",
+  requireApplicant,
+  async (req, res) => {
+    try {
+      if (!encryption.configured) return payoutDetailsUnavailable(res);
 
-    const application = await Application.findOneAndUpdate(
-      { applicationId: localPayment.applicationId },
-      {
-        paymentStatus: localStatus === "completed" ? "completed" : "pending",
-        paymentOrderId:
-          orderState === "COMPLETED" ? response.data.orderId : null,
-        status: applicationStatus,
-        updatedAt: new Date(),
-      },
-      { new: true },
-    );
+      const application = await Application.findOne({
+        applicationId: req.params.applicationId,
+        ...contactFilter(req.applicant.contact),
+      }).select("_id");
+      const payout =
+        application && (await Payout.findOne({ application: application._id }));
 
-    if (shouldSendEmail && orderState === "COMPLETED" && application) {
-      try {
-        await sendConfirmationEmail(application, response.data.orderId);
-      } catch (emailError) {
-        console.error("Failed to send confirmation email:", emailError.message);
+      if (!payout) {
+        return res.status(404).json({
+          success: false,
+          message: "No scholarship payout for this application",
+        });
       }
-    }
 
-    res.json({
-      success: true,
-      data: response.data,
-      localData: {
-        applicationId: updatedPayment.applicationId,
-        status: updatedPayment.status,
-        createdAt: updatedPayment.createdAt,
-        updatedAt: updatedPayment.updatedAt,
-      },
-    });
-  } catch (error) {
-    let errorMessage = "Payment status check failed";
-    if (error.response?.data?.message) {
-      errorMessage = error.response.data.message;
-    } else if (error.response?.data?.code) {
-      errorMessage = `PhonePe Error: ${error.response.data.code}`;
-    }
+      const { errors, payout: updated } = await savePayoutDetails(
+        payout,
+        req.body,
+        "applicant",
+      );
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
 
-    res.status(500).json({
-      success: false,
-      message: errorMessage,
-      error:
-        process.env.NODE_ENV === "development"
-          ? error.response?.data || error.message
-          : undefined,
-    });
-  }
-});
+      res.json({
+        success: true,
+        message: "Payout details saved",
+        data: payoutSummary(updated),
+      });
+    } catch (error) {
+      console.error("Applicant payout details error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save payout details",
+      });
+    }
+  },
+);
 
 // Payment Status Page (HOSTINGER COMPATIBLE)
 app.get("/payment-status", (req, res) => {
@@ -1102,51 +6693,162 @@ app.get("/payment-status", (req, res) => {
   res.redirect(`/payment-status.html?transactionId=${transactionId}`);
 });
 
-// Application Details
-app.get("/api/application/:applicationId", async (req, res) => {
-  try {
-    const { applicationId } = req.params;
-    const application = await Application.findOne({ applicationId });
+// Application Details (verified applicant only - contains personal details;
+// staff use /api/admin/applications/:applicationId)
+app.get(
+  "/api/application/:applicationId",
+  requireApplicant,
+  async (req, res) => {
+    try {
+      const { applicationId } = req.params;
+      const application = await Application.findOne({
+        applicationId,
+        ...contactFilter(req.applicant.contact),
+      })
+        .select(APPLICANT_APPLICATION_FIELDS)
+        .lean();
 
-    if (!application) {
-      return res.status(404).json({
+      // Someone else's application looks exactly like a missing one
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: "Application not found",
+        });
+      }
+
+      const [payments, refunds, documents, meritList, payout] =
+        await Promise.all([
+          Payment.find({ application: application._id })
+            .select(
+              "merchantOrderId amount status refundStatus receiptCode createdAt",
+            )
+            .sort({ createdAt: -1 })
+            .lean(),
+          Refund.find({ applicationId })
+            .select("merchantRefundId amount status createdAt")
+            .sort({ createdAt: -1 })
+            .lean(),
+          Document.find({ application: application._id })
+            .select("type originalName size createdAt")
+            .sort({ type: 1, createdAt: 1 })
+            .lean(),
+          MeritList.findOne({
+            cycleCode: application.cycleCode,
+            status: "published",
+          })
+            .select("publishedAt")
+            .lean(),
+          Payout.findOne({ application: application._id }),
+        ]);
+
+      // Payments completed before receipts existed get their number now
+      for (const payment of payments) {
+        if (payment.status === "completed" && !payment.receiptCode) {
+          payment.receiptCode = (
+            await markPaymentPaid(payment.merchantOrderId)
+          ).receiptCode;
+        }
+      }
+
+      // Review decisions stay internal until the results are published
+      if (!meritList && INTERNAL_REVIEW_STATUSES.includes(application.status)) {
+        application.status = "paid";
+      }
+
+      res.json({
+        success: true,
+        data: {
+          application,
+          payments,
+          refunds,
+          documents,
+          resultsPublished: Boolean(meritList),
+          payout: payout ? payoutSummary(payout) : null,
+        },
+      });
+    } catch (error) {
+      console.error("Application fetch error:", error);
+      res.status(500).json({
         success: false,
-        message: "Application not found",
+        message: "Failed to fetch application",
       });
     }
+  },
+);
 
-    res.json({
-      success: true,
-      data: application,
-    });
-  } catch (error) {
-    console.error("Application fetch error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch application",
-    });
-  }
-});
-
+// Uploaded documents are only reachable through the staff route above
+app.use("/uploads", (req, res) => res.status(404).end());
 app.use(express.static(".")); // Serve from root directory
 
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "index.html")); // Root level
 });
 
+app.get("/track", (req, res) => {
+  res.sendFile(path.join(__dirname, "track.html"));
+});
+
+app.get("/results", (req, res) => {
+  res.sendFile(path.join(__dirname, "results.html"));
+});
+
+app.get("/verify", (req, res) => {
+  res.sendFile(path.join(__dirname, "verify.html"));
+});
+
+app.get("/admin", (req, res) => {
+  res.sendFile(path.join(__dirname, "admin.html"));
+});
+
 app.get("/payment-status", (req, res) => {
   const { transactionId } = req.query;
   res.redirect(`/payment-status.html?transactionId=${transactionId}`);
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(
-    `📧 Email: ${process.env.RESEND_API_KEY ? "✅ Resend Ready" : "❌ Not configured"}`,
-  );
-  console.log(
-    `💾 Database: ${mongoose.connection.readyState === 1 ? "✅ Connected" : "⚠️ Checking..."}`,
-  );
-});
+// Start server (scripts/ require this file for its models and helpers)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(
+      `📧 Email: ${process.env.RESEND_API_KEY ? "✅ Resend Ready" : "❌ Not configured"}`,
+    );
+    console.log(
+      `💾 Database: ${mongoose.connection.readyState === 1 ? "✅ Connected" : "⚠️ Checking..."}`,
+    );
+    console.log(
+      `🔐 Payout details encryption: ${encryption.configured ? "✅ Ready" : "❌ DATA_ENCRYPTION_KEY not set"}`,
+    );
+  });
+}
+
+module.exports = {
+  app,
+  Application,
+  Cycle,
+  runCycleScheduler,
+  Payment,
+  Staff,
+  STAFF_ROLES,
+  hashPassword,
+  validatePassword,
+  ScoringWeights,
+  getCycleCode,
+  recomputeScores,
+  parseImportCsv,
+  importApplications,
+  csvRow,
+  // For the tests in test/
+  issueMerchantOrderId,
+  verifyOtp,
+  applyOrderUpdate,
+  runPaymentReconciliation,
+  idempotency,
+  refreshReviewOutcome,
+  recordAudit,
+  buildMeritEntries,
+  runOutbox,
+  notifyResultsPublished,
+  savePayoutDetails,
+  readPayoutDetails,
+};
@@ -0,0 +1,23 @@
+// storage/index.js - Document storage selection
+//
+// Every storage backend exposes the same interface so routes don't care
+// where the bytes live:
+//   put(key, buffer, { contentType })  -> { key, size }
+//   get(key)                           -> readable stream (rejects if missing)
+//   remove(key)                        -> resolves even if the key is gone
+// Keys are generated by the server (never taken from the client) and use
+// "/" separators, so an S3-compatible backend can use them as object keys.
+
+const BACKENDS = {
+  local: () => require("./local"),
+};
+
+const backendName = (process.env.DOCUMENT_STORAGE || "local").toLowerCase();
+
+if (!BACKENDS[backendName]) {
+  throw new Error(`Unknown DOCUMENT_STORAGE: ${backendName}`);
+}
+
+console.log(`🗂️ Document storage: ${backendName}`);
+
+module.exports = BACKENDS[backendName]();
@@ -0,0 +1,44 @@
+// storage/local.js - Documents on the local disk
+//
+// Files live under UPLOAD_DIR (default ./uploads). The directory is never
+// served statically; staff download documents through an authenticated route.
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(
+  process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads"),
+);
+
+// Refuse anything that would resolve outside the upload directory
+function resolveKey(key) {
+  const filePath = path.resolve(ROOT, key);
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+}
+
+async function put(key, buffer) {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  // "wx" so an existing document is never silently overwritten
+  await fs.promises.writeFile(filePath, buffer, { flag: "wx" });
+  return { key, size: buffer.length };
+}
+
+async function get(key) {
+  const filePath = resolveKey(key);
+  await fs.promises.access(filePath, fs.constants.R_OK);
+  return fs.createReadStream(filePath);
+}
+
+async function remove(key) {
+  await fs.promises.rm(resolveKey(key), { force: true });
+}
+
+module.exports = {
+  name: "local",
+  put,
+  get,
+  remove,
+};
@@ -0,0 +1,134 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { server, models } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+// Just enough of Mongo's matching for the filters applyOrderUpdate uses
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition && typeof condition === "object") {
+      if ("$ne" in condition) return doc[field] !== condition.$ne;
+      if ("$in" in condition) return condition.$in.includes(doc[field]);
+    }
+    return doc[field] === condition;
+  });
+}
+
+function stubRecords(application, payment) {
+  const applicationWrites = [];
+  mock.method(
+    models.Application,
+    "findOneAndUpdate",
+    async (filter, update) => {
+      if (!matches(application, filter)) return null;
+      const before = { ...application };
+      Object.assign(application, update);
+      applicationWrites.push(update);
+      return before;
+    },
+  );
+  mock.method(models.Application, "findById", async () => ({ ...application }));
+  mock.method(models.Application, "findOne", async () => ({ ...application }));
+  mock.method(models.Payment, "findOneAndUpdate", async (filter, update) => {
+    if ("confirmationEmailSent" in filter) return null; // already sent
+    const before = { ...payment };
+    Object.assign(payment, update);
+    return before;
+  });
+  mock.method(models.Payment, "findById", async () => ({ ...payment }));
+  mock.method(models.Payment, "findOne", async () => ({ ...payment }));
+  mock.method(models.Payment, "updateOne", async () => ({}));
+  mock.method(models.AuditLog, "insertMany", async () => []);
+  // null = already queued, so nothing is actually sent
+  const notices = mock.method(models.OutboxMessage, "create", async () => null);
+  return { applicationWrites, notices };
+}
+
+test("an abandoned earlier attempt failing later leaves a paid application alone", async () => {
+  const application = {
+    _id: "a1",
+    applicationId: "NF20250100001",
+    merchantOrderId: "MO_NF20250100001_2_B",
+    status: "paid",
+    paymentStatus: "completed",
+    paymentOrderId: "OMO2",
+  };
+  const payment = {
+    _id: "p1",
+    merchantOrderId: "MO_NF20250100001_1_A",
+    applicationId: "NF20250100001",
+    status: "pending",
+  };
+  const { applicationWrites, notices } = stubRecords(application, payment);
+
+  await server.applyOrderUpdate(
+    payment,
+    { orderId: "OMO1", state: "FAILED" },
+    { actorType: "system" },
+  );
+
+  assert.strictEqual(applicationWrites.length, 0);
+  assert.strictEqual(notices.mock.callCount(), 0);
+  assert.strictEqual(application.status, "paid");
+  assert.strictEqual(application.paymentStatus, "completed");
+  assert.strictEqual(application.paymentOrderId, "OMO2");
+});
+
+test("the current order failing marks an unpaid application failed", async () => {
+  const application = {
+    _id: "a1",
+    applicationId: "NF20250100001",
+    merchantOrderId: "MO_NF20250100001_1_A",
+    email: "priya@example.com",
+    status: "pending",
+    paymentStatus: "pending",
+  };
+  const payment = {
+    _id: "p1",
+    merchantOrderId: "MO_NF20250100001_1_A",
+    applicationId: "NF20250100001",
+    status: "pending",
+  };
+  const { notices } = stubRecords(application, payment);
+
+  await server.applyOrderUpdate(
+    payment,
+    { orderId: "OMO1", state: "FAILED" },
+    { actorType: "system" },
+  );
+
+  assert.strictEqual(application.paymentStatus, "failed");
+  assert.strictEqual(application.status, "pending");
+  assert.strictEqual(
+    notices.mock.calls[0].arguments[0].event,
+    "payment_failed",
+  );
+});
+
+test("re-checking a completed payment keeps a committee decision", async () => {
+  const application = {
+    _id: "a1",
+    applicationId: "NF20250100001",
+    merchantOrderId: "MO_NF20250100001_1_A",
+    status: "selected",
+    paymentStatus: "completed",
+    paymentOrderId: "OMO1",
+  };
+  const payment = {
+    _id: "p1",
+    merchantOrderId: "MO_NF20250100001_1_A",
+    applicationId: "NF20250100001",
+    status: "completed",
+  };
+  const { applicationWrites } = stubRecords(application, payment);
+
+  await server.applyOrderUpdate(
+    payment,
+    { orderId: "OMO1", state: "COMPLETED" },
+    { actorType: "phonepe" },
+  );
+
+  assert.strictEqual(applicationWrites.length, 0);
+  assert.strictEqual(application.status, "selected");
+});
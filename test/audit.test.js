@@ -0,0 +1,94 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { server, models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+test("only the audited fields that changed are logged", async () => {
+  const insertMany = mock.method(models.AuditLog, "insertMany", async () => []);
+
+  await server.recordAudit(
+    models.Application,
+    {
+      applicationId: "NF20250100001",
+      status: "submitted",
+      paymentStatus: "pending",
+    },
+    {
+      applicationId: "NF20250100001",
+      status: "submitted",
+      paymentStatus: "completed",
+      reviewState: "unassigned",
+      name: "Renamed",
+    },
+    { actorType: "phonepe" },
+  );
+
+  const entries = insertMany.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(
+    entries.map(({ field, from, to }) => [field, from, to]),
+    [
+      ["paymentStatus", "pending", "completed"],
+      ["reviewState", null, "unassigned"],
+    ],
+  );
+  assert.strictEqual(entries[0].entity, "application");
+  assert.strictEqual(entries[0].entityId, "NF20250100001");
+  assert.strictEqual(entries[0].actorType, "phonepe");
+});
+
+test("nothing is written when nothing changed, and failures don't throw", async () => {
+  const insertMany = mock.method(models.AuditLog, "insertMany", async () => {
+    throw new Error("disk full");
+  });
+  const payment = { merchantOrderId: "MO_1", status: "completed" };
+
+  await server.recordAudit(models.Payment, payment, { ...payment }, {});
+  assert.strictEqual(insertMany.mock.callCount(), 0);
+
+  await server.recordAudit(models.Payment, null, payment, {});
+  assert.strictEqual(insertMany.mock.callCount(), 1);
+});
+
+test("staff changes are logged with who made them and why", async () => {
+  mock.method(models.StaffSession, "findOne", () =>
+    query({
+      staff: { active: true, role: "admin", email: "admin@example.com" },
+    }),
+  );
+  const application = {
+    applicationId: "NF20250100001",
+    paymentStatus: "completed",
+    status: "approved",
+    save: async () => application,
+    toObject: () => ({ ...application }),
+  };
+  mock.method(models.Application, "findOne", async () => application);
+  // Unpublished results aren't announced to the applicant yet
+  mock.method(models.MeritList, "exists", async () => null);
+  const insertMany = mock.method(models.AuditLog, "insertMany", async () => []);
+
+  const res = await request(
+    "POST",
+    "/api/admin/applications/NF20250100001/decision",
+    {
+      body: { action: "reject", note: "Incomplete documents" },
+      headers: { Authorization: "Bearer token" },
+    },
+  );
+
+  assert.strictEqual(res.status, 200);
+
+  const [entry] = insertMany.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(
+    [entry.field, entry.from, entry.to, entry.actor, entry.reason],
+    [
+      "status",
+      "approved",
+      "rejected",
+      "admin@example.com",
+      "Incomplete documents",
+    ],
+  );
+  assert.ok(entry.requestId);
+});
@@ -0,0 +1,52 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { models, request } = require("./helpers");
+const { PHONEPE_CONFIG } = require("../providers/phonepe");
+
+PHONEPE_CONFIG.callbackUsername = "merchant";
+PHONEPE_CONFIG.callbackPassword = "s3cret";
+const authorization = crypto
+  .createHash("sha256")
+  .update("merchant:s3cret")
+  .digest("hex");
+
+afterEach(() => mock.restoreAll());
+
+function callback(headers) {
+  return request("POST", "/api/payment/callback", {
+    body: {
+      event: "checkout.order.completed",
+      payload: { merchantOrderId: "MO_NF20250100001_1_AB", state: "COMPLETED" },
+    },
+    headers,
+  });
+}
+
+test("callbacks without the configured credentials hash are rejected", async () => {
+  const findOne = mock.method(models.Payment, "findOne", async () => null);
+
+  for (const headers of [
+    {},
+    { Authorization: "not-a-hash" },
+    { Authorization: crypto.createHash("sha256").update("x:y").digest("hex") },
+  ]) {
+    assert.strictEqual((await callback(headers)).status, 401);
+  }
+  assert.strictEqual(findOne.mock.callCount(), 0);
+});
+
+test("a signed callback is matched to its payment", async () => {
+  const findOne = mock.method(models.Payment, "findOne", async () => null);
+
+  for (const header of [
+    authorization,
+    `SHA256 ${authorization.toUpperCase()}`,
+  ]) {
+    const res = await callback({ Authorization: header });
+    assert.strictEqual(res.status, 404);
+  }
+  assert.deepStrictEqual(findOne.mock.calls[0].arguments[0], {
+    merchantOrderId: "MO_NF20250100001_1_AB",
+  });
+});
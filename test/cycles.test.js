@@ -0,0 +1,68 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { server, models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+test("cycle codes follow the month in IST", () => {
+  // 00:30 on 1 February in India is still January in UTC
+  assert.strictEqual(
+    server.getCycleCode(new Date("2025-01-31T19:00:00Z")),
+    "202502",
+  );
+  assert.strictEqual(
+    server.getCycleCode(new Date("2025-01-31T18:00:00Z")),
+    "202501",
+  );
+});
+
+test("the scheduler creates this cycle and the next, and moves them forward", async () => {
+  const ensure = mock.method(
+    models.Cycle,
+    "findOneAndUpdate",
+    async () => ({}),
+  );
+  const updateMany = mock.method(models.Cycle, "updateMany", async () => ({
+    modifiedCount: 0,
+  }));
+  const now = new Date("2025-12-29T10:00:00Z");
+
+  await server.runCycleScheduler(now);
+
+  const created = ensure.mock.calls.map((c) => c.arguments[0].code);
+  assert.deepStrictEqual(created, ["202512", "202601"]);
+  const defaults = ensure.mock.calls[0].arguments[1].$setOnInsert;
+  assert.strictEqual(
+    defaults.opensAt.toISOString(),
+    "2025-11-30T18:30:00.000Z",
+  );
+  assert.strictEqual(
+    defaults.closesAt.toISOString(),
+    "2025-12-28T18:29:59.999Z",
+  );
+
+  const [openFilter, closeFilter] = updateMany.mock.calls.map(
+    (c) => c.arguments[0],
+  );
+  assert.strictEqual(openFilter.status, "upcoming");
+  assert.deepStrictEqual(closeFilter, {
+    status: { $in: ["upcoming", "open"] },
+    closesAt: { $lt: now },
+  });
+});
+
+test("payments are refused while no cycle is open", async () => {
+  const opensAt = new Date("2026-01-01T00:00:00Z");
+  const findOne = mock.method(models.Cycle, "findOne", () => query(null));
+  findOne.mock.mockImplementationOnce(() => query(null), 0);
+  findOne.mock.mockImplementationOnce(() => query({ opensAt }), 1);
+  const payments = mock.method(models.Payment, "findOne", async () => null);
+
+  const res = await request("POST", "/api/payment/initiate", {
+    body: { applicationId: "NF20250100001" },
+  });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.data.nextOpensAt, opensAt.toISOString());
+  assert.strictEqual(payments.mock.callCount(), 0);
+});
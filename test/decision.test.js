@@ -0,0 +1,66 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+function signIn(staff) {
+  mock.method(models.StaffSession, "findOne", () =>
+    query({ staff: { active: true, adjudicator: false, ...staff } }),
+  );
+}
+
+function paidApplication(fields = {}) {
+  const application = {
+    applicationId: "NF20250100001",
+    paymentStatus: "completed",
+    status: "approved",
+    reviewState: "in_review",
+    save: mock.fn(async () => application),
+    toObject: () => ({}),
+    ...fields,
+  };
+  mock.method(models.Application, "findOne", async () => application);
+  mock.method(models.AuditLog, "insertMany", async () => []);
+  return application;
+}
+
+function decide(action = "approve") {
+  return request("POST", "/api/admin/applications/NF20250100001/decision", {
+    body: { action },
+    headers: { Authorization: "Bearer token" },
+  });
+}
+
+test("reviewers can't decide applications", async () => {
+  signIn({ email: "r@example.com", role: "reviewer" });
+  const application = paidApplication({ reviewState: "complete" });
+
+  const res = await decide();
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(application.save.mock.callCount(), 0);
+});
+
+test("adjudicators decide only once the reviews are complete", async () => {
+  signIn({ email: "a@example.com", role: "reviewer", adjudicator: true });
+  const application = paidApplication({ reviewState: "adjudication" });
+
+  assert.strictEqual((await decide()).status, 409);
+  assert.strictEqual(application.save.mock.callCount(), 0);
+
+  application.reviewState = "complete";
+  assert.strictEqual((await decide()).status, 200);
+  assert.strictEqual(application.save.mock.callCount(), 1);
+  assert.strictEqual(application.reviewedBy, "a@example.com");
+});
+
+test("admins can decide at any review stage", async () => {
+  signIn({ email: "admin@example.com", role: "admin" });
+  const application = paidApplication({ reviewState: "unassigned" });
+
+  const res = await decide();
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(application.save.mock.callCount(), 1);
+});
@@ -0,0 +1,68 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+const PDF = Buffer.from("%PDF-1.7\n");
+const PNG = Buffer.from("89504e470d0a1a0a", "hex");
+
+function submit(files) {
+  mock.method(models.Cycle, "findOne", () =>
+    query({ code: "202501", fee: 99, status: "open" }),
+  );
+  const form = new FormData();
+  form.append("name", "Priya Patil");
+  for (const [field, content, type, name] of files) {
+    form.append(field, new Blob([content], { type }), name);
+  }
+  return request("POST", "/api/application/submit", { body: form });
+}
+
+test("required documents are checked and formats are read from the file itself", async () => {
+  const res = await submit([
+    ["marksheet", PDF, "application/pdf", "marks.pdf"],
+    ["income_certificate", "<script>", "application/pdf", "income.pdf"],
+    ["achievement_proof", PNG, "text/plain", "medal.txt"],
+  ]);
+
+  assert.strictEqual(res.status, 400);
+  const documentErrors = res.body.errors.filter((e) =>
+    /^(Marksheet|Income certificate|ID proof|Achievement certificate) /.test(e),
+  );
+  assert.deepStrictEqual(documentErrors, [
+    "ID proof is required",
+    "Income certificate must be a PDF, JPG or PNG file",
+  ]);
+});
+
+test("a submission without files is refused", async () => {
+  mock.method(models.Cycle, "findOne", () =>
+    query({ code: "202501", fee: 99, status: "open" }),
+  );
+  const res = await request("POST", "/api/application/submit", {
+    body: { name: "Priya Patil" },
+  });
+
+  assert.strictEqual(res.status, 400);
+  for (const label of ["Marksheet", "Income certificate", "ID proof"]) {
+    assert.ok(res.body.errors.includes(`${label} is required`), label);
+  }
+});
+
+test("unknown document fields and extra files are rejected by the upload", async () => {
+  const unexpected = await submit([
+    ["passport", PDF, "application/pdf", "p.pdf"],
+  ]);
+  assert.strictEqual(unexpected.status, 400);
+  assert.strictEqual(
+    unexpected.body.message,
+    "Unexpected document field: passport",
+  );
+
+  const twice = await submit([
+    ["marksheet", PDF, "application/pdf", "a.pdf"],
+    ["marksheet", PDF, "application/pdf", "b.pdf"],
+  ]);
+  assert.strictEqual(twice.status, 400);
+});
@@ -0,0 +1,59 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+function unpaidApplication(applicationId) {
+  mock.method(models.Application, "findOne", () =>
+    query({
+      applicationId,
+      email: "priya@example.com",
+      phone: "9876543210",
+      paymentStatus: "pending",
+    }),
+  );
+}
+
+function requestCode(applicationId, phone) {
+  return request("POST", `/api/application/${applicationId}/email-otp`, {
+    body: { phone },
+  });
+}
+
+test("no code is sent without the application's phone number", async () => {
+  unpaidApplication("NF20250100001");
+  const create = mock.method(models.OtpCode, "create", async () => ({}));
+
+  for (const phone of [undefined, "9999999999"]) {
+    const res = await requestCode("NF20250100001", phone);
+    assert.strictEqual(res.status, 404);
+    assert.ok(!JSON.stringify(res.body).includes("priya"));
+  }
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test("the matching phone number gets through to the code throttle", async () => {
+  unpaidApplication("NF20250100002");
+  mock.method(models.OtpCode, "findOne", async () => ({ _id: "recent" }));
+
+  const res = await requestCode("NF20250100002", "+91 98765 43210");
+
+  assert.strictEqual(res.status, 429);
+});
+
+test("each application gets a limited number of code requests", async () => {
+  unpaidApplication("NF20250100003");
+
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    statuses.push((await requestCode("NF20250100003", "9000000000")).status);
+  }
+
+  assert.deepStrictEqual(statuses, [404, 404, 404, 404, 404, 429]);
+  // Other applications keep their own allowance
+  assert.strictEqual(
+    (await requestCode("NF20250100004", "9000000000")).status,
+    404,
+  );
+});
@@ -0,0 +1,35 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { server, models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+test("csvRow quotes cells and defuses formula-like ones", () => {
+  assert.strictEqual(
+    server.csvRow(["plain", 'say "hi"', "a,b", null, 42]),
+    'plain,"say ""hi""","a,b",,42',
+  );
+  for (const cell of ["=1+1", "+91", "-2", "@SUM(A1)", "\tx", "\rx"]) {
+    assert.ok(server.csvRow([cell]).replace(/^"/, "").startsWith("'"), cell);
+  }
+});
+
+test("the export rejects column names that aren't export columns", async () => {
+  mock.method(models.StaffSession, "findOne", () =>
+    query({ staff: { active: true, role: "admin", email: "a@example.com" } }),
+  );
+  const find = mock.method(models.Application, "find", () => query([]));
+
+  const res = await request(
+    "GET",
+    "/api/admin/applications/export?columns=name,constructor,toString",
+    { headers: { Authorization: "Bearer token" } },
+  );
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(
+    res.body.message,
+    "Unknown columns: constructor, toString",
+  );
+  assert.strictEqual(find.mock.callCount(), 0);
+});
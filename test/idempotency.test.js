@@ -0,0 +1,140 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const { server, models } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+// IdempotencyRecord backed by a Map
+function stubRecords() {
+  const records = new Map();
+  const id = ({ scope, key }) => `${scope}:${key}`;
+  mock.method(models.IdempotencyRecord, "create", async (doc) => {
+    if (records.has(id(doc)))
+      throw Object.assign(new Error("dup"), { code: 11000 });
+    records.set(id(doc), {
+      _id: id(doc),
+      status: "in_progress",
+      createdAt: new Date(),
+      ...doc,
+    });
+  });
+  mock.method(
+    models.IdempotencyRecord,
+    "findOne",
+    async (filter) => records.get(id(filter)) || null,
+  );
+  mock.method(models.IdempotencyRecord, "updateOne", async (filter, update) => {
+    Object.assign(records.get(id(filter)), update);
+  });
+  mock.method(models.IdempotencyRecord, "deleteOne", async (filter) => {
+    const record = records.get(id(filter));
+    if (record && record.status === filter.status) records.delete(id(filter));
+  });
+  mock.method(
+    models.IdempotencyRecord,
+    "findOneAndUpdate",
+    async (filter, update) => {
+      const record = records.get(filter._id);
+      if (!record || record.status !== filter.status) return null;
+      const before = { ...record };
+      Object.assign(record, update);
+      return before;
+    },
+  );
+  return records;
+}
+
+async function call(app, body = { a: 1 }) {
+  const listener = app.listen(0);
+  await new Promise((resolve) => listener.once("listening", resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${listener.address().port}/`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Idempotency-Key": "k1" },
+      body: JSON.stringify(body),
+    });
+    // Let the close handler run
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return {
+      status: res.status,
+      replayed: res.headers.get("Idempotent-Replayed"),
+      body: await res.json(),
+    };
+  } finally {
+    listener.close();
+  }
+}
+
+function appWith(handler, options) {
+  const app = express();
+  app.use(express.json());
+  app.post("/", server.idempotency("test", options), handler);
+  app.use((error, req, res, next) => res.status(500).json({ success: false }));
+  return app;
+}
+
+test("a successful response is replayed for the same key", async () => {
+  stubRecords();
+  let runs = 0;
+  const app = appWith((req, res) => res.status(201).json({ run: ++runs }));
+
+  const first = await call(app);
+  const second = await call(app);
+
+  assert.strictEqual(first.status, 201);
+  assert.deepStrictEqual(second, {
+    status: 201,
+    replayed: "true",
+    body: { run: 1 },
+  });
+  assert.strictEqual(runs, 1);
+});
+
+test("error responses are not stored, so a retry runs again", async () => {
+  const records = stubRecords();
+  let runs = 0;
+  const app = appWith((req, res) => res.status(400).json({ run: ++runs }));
+
+  await call(app);
+  const second = await call(app);
+
+  assert.strictEqual(second.body.run, 2);
+  assert.strictEqual(records.size, 0);
+});
+
+test("a request that ends in next(error) frees its key", async () => {
+  const records = stubRecords();
+  const app = appWith((req, res, next) => next(new Error("boom")));
+
+  const first = await call(app);
+
+  assert.strictEqual(first.status, 500);
+  assert.strictEqual(records.size, 0);
+});
+
+test("a database error becomes a 500 instead of an unhandled rejection", async () => {
+  mock.method(models.IdempotencyRecord, "create", async () => {
+    throw new Error("connection lost");
+  });
+  const app = appWith((req, res) => res.json({ ok: true }));
+
+  const res = await call(app);
+
+  assert.strictEqual(res.status, 500);
+});
+
+test("with replaySeconds an old response runs the request again", async () => {
+  const records = stubRecords();
+  let runs = 0;
+  const app = appWith((req, res) => res.json({ run: ++runs }), {
+    replaySeconds: 60,
+  });
+
+  await call(app);
+  records.get("test:k1").createdAt = new Date(Date.now() - 61 * 1000);
+  const second = await call(app);
+
+  assert.strictEqual(second.replayed, null);
+  assert.strictEqual(second.body.run, 2);
+});
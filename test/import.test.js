@@ -0,0 +1,91 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { server, models, query } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+const HEADER =
+  "Name,Email,Phone,DOB,Gender,Category,School,State,District,Pincode,Address,Income Amount,Income Band,Achievements,Recommendation,SOP";
+const SOP =
+  "I want to study engineering and support my family with a stable career.";
+
+function row(name, email, phone, dob = "15/08/2008") {
+  return `${name},${email},${phone},${dob},Female,ITI,Govt ITI Pune,Maharashtra,Pune,411001,Pune,80000,"Below ₹1,00,000",District chess,Principal,${SOP}`;
+}
+
+function stubDatabase() {
+  mock.method(models.Cycle, "findOneAndUpdate", async () => ({
+    code: "202510",
+    fee: 99,
+  }));
+  mock.method(models.Application, "findOne", () => query(null));
+  let seq = 0;
+  mock.method(models.Counter, "findOneAndUpdate", async () => ({
+    seq: ++seq,
+  }));
+}
+
+const options = (dryRun) => ({
+  cycleCode: "202510",
+  dryRun,
+  batch: "camp-1",
+  by: "admin@example.com",
+  context: { actorType: "system" },
+});
+
+test("header names are matched loosely and rows become records", () => {
+  const records = server.parseImportCsv(
+    `﻿${HEADER}\n${row("Priya Patil", "priya@example.com", "9876543210")}\n`,
+  );
+
+  assert.strictEqual(records.length, 1);
+  assert.strictEqual(records[0].income_amount, "80000");
+  assert.strictEqual(records[0].dob, "15/08/2008");
+});
+
+test("a dry run reports every row's errors and writes nothing", async () => {
+  stubDatabase();
+  const insert = mock.method(models.Application, "insertMany", async () => []);
+  const records = server.parseImportCsv(
+    [
+      HEADER,
+      row("Priya Patil", "priya@example.com", "9876543210"),
+      row("Asha More", "priya@example.com", "9876543211", "31/02/2008"),
+    ].join("\n"),
+  );
+
+  const result = await server.importApplications(records, options(true));
+
+  assert.strictEqual(result.failed, 1);
+  assert.deepStrictEqual(result.rows[0].errors, []);
+  assert.deepStrictEqual(result.rows[1].errors, [
+    "Invalid date of birth (use DD/MM/YYYY)",
+    "Same email as row 2",
+  ]);
+  assert.strictEqual(insert.mock.callCount(), 0);
+});
+
+test("a failed insert removes the applications that went in", async () => {
+  stubDatabase();
+  mock.method(models.Application, "insertMany", async () => {
+    throw new Error("E11000 duplicate key");
+  });
+  const remove = mock.method(
+    models.Application,
+    "deleteMany",
+    async () => ({}),
+  );
+  const records = server.parseImportCsv(
+    [
+      HEADER,
+      row("Priya Patil", "priya@example.com", "9876543210"),
+      row("Asha More", "asha@example.com", "9876543211"),
+    ].join("\n"),
+  );
+
+  const result = await server.importApplications(records, options(false));
+
+  assert.strictEqual(result.imported, 0);
+  assert.match(result.error, /^Nothing was imported/);
+  assert.strictEqual(remove.mock.calls[0].arguments[0]._id.$in.length, 2);
+});
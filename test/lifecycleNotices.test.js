@@ -0,0 +1,78 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { server, models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+function applicant(applicationId, status) {
+  return {
+    applicationId,
+    status,
+    cycleCode: "202501",
+    name: "Priya Patil",
+    email: `${applicationId.toLowerCase()}@example.com`,
+    paymentStatus: "completed",
+  };
+}
+
+// Queued notices as [dedupeKey, event]. create resolving to null means
+// "already queued", so nothing is actually sent.
+function captureNotices() {
+  const create = mock.method(models.OutboxMessage, "create", async () => null);
+  return () =>
+    create.mock.calls.map(({ arguments: [doc] }) => [doc.dedupeKey, doc.event]);
+}
+
+test("publishing results tells every paid applicant their outcome once", async () => {
+  mock.method(models.Application, "find", () =>
+    query([
+      applicant("A1", "selected"),
+      applicant("A2", "rejected"),
+      applicant("A3", "approved"),
+    ]),
+  );
+  mock.method(models.MeritList, "exists", async () => ({ _id: "m1" }));
+  const notices = captureNotices();
+
+  await server.notifyResultsPublished({
+    cycleCode: "202501",
+    entries: [{ applicationId: "A1", rank: 1 }],
+  });
+
+  assert.deepStrictEqual(notices(), [
+    ["A1:application_selected", "application_selected"],
+    ["A2:application_rejected", "application_rejected"],
+    ["A3:results_published", "results_published"],
+  ]);
+});
+
+test("review decisions stay internal until the results are published", async () => {
+  mock.method(models.StaffSession, "findOne", () =>
+    query({
+      staff: { active: true, role: "admin", email: "admin@example.com" },
+    }),
+  );
+  const application = {
+    ...applicant("A4", "submitted"),
+    save: async () => application,
+    toObject: () => ({ ...application }),
+  };
+  mock.method(models.Application, "findOne", async () => application);
+  mock.method(models.AuditLog, "insertMany", async () => []);
+  const published = mock.method(models.MeritList, "exists", async () => null);
+  const notices = captureNotices();
+  const decide = (action) =>
+    request("POST", "/api/admin/applications/A4/decision", {
+      body: { action },
+      headers: { Authorization: "Bearer token" },
+    });
+
+  assert.strictEqual((await decide("approve")).status, 200);
+  assert.deepStrictEqual(notices(), []);
+
+  published.mock.mockImplementation(async () => ({ _id: "m1" }));
+  assert.strictEqual((await decide("reject")).status, 200);
+  assert.deepStrictEqual(notices(), [
+    ["A4:application_rejected", "application_rejected"],
+  ]);
+});
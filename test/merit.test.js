@@ -0,0 +1,74 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { server, models, query } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+function applicant(applicationId, category, score, components = {}, day = 1) {
+  return {
+    _id: applicationId,
+    applicationId,
+    category,
+    score,
+    scoreBreakdown: { components },
+    createdAt: new Date(`2025-01-0${day}T10:00:00Z`),
+  };
+}
+
+test("applicants are ranked within their category and the top ones selected", async () => {
+  const find = mock.method(models.Application, "find", () =>
+    query([
+      applicant("A", "ITI", 70),
+      applicant("B", "8वी–12वी", 90),
+      applicant("C", "ITI", 85),
+      applicant("D", "ITI", 60),
+    ]),
+  );
+
+  const entries = await server.buildMeritEntries("202501", {
+    ITI: 2,
+    "8वी–12वी": 1,
+  });
+
+  const iti = entries.filter((e) => e.category === "ITI");
+  assert.deepStrictEqual(
+    iti.map((e) => [e.applicationId, e.rank, e.selected]),
+    [
+      ["C", 1, true],
+      ["A", 2, true],
+      ["D", 3, false],
+    ],
+  );
+  assert.strictEqual(entries.find((e) => e.applicationId === "B").rank, 1);
+  // Rejected and unpaid applications aren't ranked at all
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], {
+    cycleCode: "202501",
+    paymentStatus: "completed",
+    status: { $ne: "rejected" },
+  });
+});
+
+test("ties go to lower income, then the SOP, then achievements, then the earlier application", async () => {
+  const points = (income, sop, achievements) => ({
+    income: { points: income },
+    sop: { points: sop },
+    achievements: { points: achievements },
+  });
+  mock.method(models.Application, "find", () =>
+    query([
+      applicant("late", "ITI", 80, points(60, 70, 70), 5),
+      applicant("early", "ITI", 80, points(60, 70, 70), 2),
+      applicant("achiever", "ITI", 80, points(60, 70, 90)),
+      applicant("writer", "ITI", 80, points(60, 90, 10)),
+      applicant("poorer", "ITI", 80, points(85, 10, 10)),
+    ]),
+  );
+
+  const entries = await server.buildMeritEntries("202501", {});
+
+  assert.deepStrictEqual(
+    entries.map((e) => e.applicationId),
+    ["poorer", "writer", "achiever", "early", "late"],
+  );
+  assert.ok(entries.every((e) => !e.selected));
+});
@@ -0,0 +1,99 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const axios = require("axios");
+const express = require("express");
+const mockProvider = require("../providers/mock");
+const { verifyCallback, PHONEPE_CONFIG } = require("../providers/phonepe");
+
+afterEach(() => mock.restoreAll());
+
+function order(merchantOrderId, extra = {}) {
+  return mockProvider.createOrder({
+    merchantOrderId,
+    amount: 9900,
+    paymentFlow: { merchantUrls: { redirectUrl: "http://localhost/done" } },
+    ...extra,
+  });
+}
+
+test("orders start pending and fail once they expire", async () => {
+  const created = await order("MO_MOCK_1");
+  assert.strictEqual(created.state, "PENDING");
+  assert.match(created.redirectUrl, /\/mock-gateway\/checkout\/OMO/);
+  assert.strictEqual(
+    (await mockProvider.getOrderStatus("MO_MOCK_1")).state,
+    "PENDING",
+  );
+
+  await order("MO_MOCK_2", { expireAfter: -1 });
+  assert.strictEqual(
+    (await mockProvider.getOrderStatus("MO_MOCK_2")).state,
+    "FAILED",
+  );
+});
+
+test("errors are shaped like the gateway's HTTP errors", async () => {
+  await order("MO_MOCK_3");
+
+  await assert.rejects(order("MO_MOCK_3"), (error) => {
+    assert.strictEqual(error.response.status, 400);
+    return true;
+  });
+  await assert.rejects(mockProvider.getOrderStatus("MO_UNKNOWN"), (error) => {
+    assert.strictEqual(error.response.data.code, "ORDER_NOT_FOUND");
+    return true;
+  });
+  // Only paid orders can be refunded
+  await assert.rejects(
+    mockProvider.createRefund("RF1", "MO_MOCK_3", 9900),
+    (error) => error.response.status === 400,
+  );
+});
+
+test("checkout and refunds send signed callbacks; refunds settle on the first check", async () => {
+  PHONEPE_CONFIG.callbackUsername = "merchant";
+  PHONEPE_CONFIG.callbackPassword = "s3cret";
+  const post = mock.method(axios, "post", async () => ({ data: {} }));
+  // Pay the order on the fake checkout page
+  const { redirectUrl } = await order("MO_MOCK_4");
+  const gateway = express()
+    .use(express.urlencoded({ extended: false }))
+    .use("/mock-gateway", mockProvider.router)
+    .listen(0);
+  await new Promise((resolve) => gateway.once("listening", resolve));
+  try {
+    const res = await fetch(
+      redirectUrl.replace(
+        /^http:\/\/[^/]+/,
+        `http://127.0.0.1:${gateway.address().port}`,
+      ),
+      {
+        method: "POST",
+        body: new URLSearchParams({ outcome: "COMPLETED" }),
+        redirect: "manual",
+      },
+    );
+    assert.strictEqual(res.headers.get("location"), "http://localhost/done");
+  } finally {
+    gateway.close();
+  }
+  assert.strictEqual(
+    post.mock.calls[0].arguments[1].event,
+    "checkout.order.completed",
+  );
+
+  const refund = await mockProvider.createRefund("RF2", "MO_MOCK_4", 5000);
+  assert.strictEqual(refund.state, "PENDING");
+  const status = await mockProvider.getRefundStatus("RF2");
+
+  assert.strictEqual(status.state, "COMPLETED");
+  const [url, body, { headers }] = post.mock.calls.at(-1).arguments;
+  assert.match(url, /\/api\/payment\/callback$/);
+  assert.strictEqual(body.event, "pg.refund.completed");
+  assert.strictEqual(verifyCallback(headers.Authorization), true);
+  assert.strictEqual(
+    headers.Authorization,
+    crypto.createHash("sha256").update("merchant:s3cret").digest("hex"),
+  );
+});
@@ -0,0 +1,17 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+const { server, models } = require("./helpers");
+
+test("order IDs add a random part to the application ID and attempt", async () => {
+  let seq = 0;
+  mock.method(models.Counter, "findOneAndUpdate", async () => ({ seq: ++seq }));
+
+  const first = await server.issueMerchantOrderId("NF20250100001");
+  const second = await server.issueMerchantOrderId("NF20250100001");
+
+  assert.match(first, /^MO_NF20250100001_1_[0-9A-F]{16}$/);
+  assert.match(second, /^MO_NF20250100001_2_[0-9A-F]{16}$/);
+  assert.notStrictEqual(first.slice(-16), second.slice(-16));
+  // PhonePe accepts at most 63 characters
+  assert.ok(first.length <= 63);
+});
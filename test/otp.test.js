@@ -0,0 +1,90 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { server, models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+function otpFor(code, attempts) {
+  const salt = "abc123";
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${salt}:${code}`)
+    .digest("hex");
+  return { _id: "o1", codeHash: `${salt}$${hash}`, attempts };
+}
+
+test("each guess is counted atomically and capped at maxAttempts", async () => {
+  const claim = mock.method(models.OtpCode, "findOneAndUpdate", async () =>
+    otpFor("123456", 1),
+  );
+
+  const result = await server.verifyOtp("portal", "a@b.com", "000000");
+
+  assert.deepStrictEqual(result, {
+    ok: false,
+    reason: "invalid",
+    attemptsLeft: 4,
+  });
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.attempts, { $lt: 5 });
+  assert.deepStrictEqual(update, { $inc: { attempts: 1 } });
+});
+
+test("a live code with no attempts left is reported as too many attempts", async () => {
+  mock.method(models.OtpCode, "findOneAndUpdate", async () => null);
+  mock.method(models.OtpCode, "exists", async () => ({ _id: "o1" }));
+
+  const result = await server.verifyOtp("portal", "a@b.com", "123456");
+
+  assert.deepStrictEqual(result, { ok: false, reason: "too_many_attempts" });
+});
+
+test("no live code means it expired", async () => {
+  mock.method(models.OtpCode, "findOneAndUpdate", async () => null);
+  mock.method(models.OtpCode, "exists", async () => null);
+
+  const result = await server.verifyOtp("portal", "a@b.com", "123456");
+
+  assert.deepStrictEqual(result, { ok: false, reason: "expired" });
+});
+
+test("the right code is consumed once", async () => {
+  const otp = otpFor("123456", 1);
+  let consumed = false;
+  mock.method(models.OtpCode, "findOneAndUpdate", async (filter, update) => {
+    if (update.consumedAt) {
+      if (consumed) return null;
+      consumed = true;
+      return otp;
+    }
+    return otp;
+  });
+
+  const first = await server.verifyOtp("portal", "a@b.com", "123456");
+  const second = await server.verifyOtp("portal", "a@b.com", "123456");
+
+  assert.strictEqual(first.ok, true);
+  assert.deepStrictEqual(second, { ok: false, reason: "expired" });
+});
+
+test("portal code requests get the same answer for known and unknown contacts", async () => {
+  const ask = () =>
+    request("POST", "/api/applicant/otp/request", {
+      body: { contact: "priya@example.com" },
+    });
+
+  mock.method(models.Application, "findOne", () => query(null));
+  const unknown = await ask();
+
+  // Known, but a code went out moments ago
+  mock.method(models.Application, "findOne", () =>
+    query({ email: "priya@example.com" }),
+  );
+  mock.method(models.OtpCode, "findOne", async () => ({ _id: "recent" }));
+  const throttled = await ask();
+
+  assert.strictEqual(unknown.status, 200);
+  assert.strictEqual(throttled.status, 200);
+  assert.deepStrictEqual(throttled.body, unknown.body);
+});
@@ -0,0 +1,78 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const notifications = require("../notifications");
+const { server, models } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+// One claimable message, then an empty outbox
+function outboxWith(message) {
+  mock.method(models.OutboxMessage, "updateMany", async () => ({}));
+  const claim = mock.method(
+    models.OutboxMessage,
+    "findOneAndUpdate",
+    async () => null,
+  );
+  claim.mock.mockImplementationOnce(async () => message, 0);
+  return mock.method(models.OutboxMessage, "updateOne", async () => ({}));
+}
+
+const message = {
+  _id: "m1",
+  event: "payment_confirmation",
+  channel: "email",
+  to: "priya@example.com",
+  subject: "Payment received",
+  html: "<p>Your code</p>",
+  text: "Your code",
+};
+
+test("a failed send is retried with exponential backoff", async () => {
+  const updateOne = outboxWith({ ...message, attempts: 3, maxAttempts: 8 });
+  mock.method(notifications, "send", async () => {
+    throw new Error("SMTP timeout");
+  });
+  const before = Date.now();
+
+  assert.strictEqual(await server.runOutbox(), 1);
+
+  const { $set } = updateOne.mock.calls[0].arguments[1];
+  assert.strictEqual($set.status, "queued");
+  assert.strictEqual($set.lastError, "SMTP timeout");
+  // 60s base delay, doubled for each earlier attempt
+  const delay = $set.nextAttemptAt.getTime() - before;
+  assert.ok(delay >= 240000 && delay < 245000, `${delay}`);
+});
+
+test("the last failed attempt marks it failed and drops redacted content", async () => {
+  const updateOne = outboxWith({
+    ...message,
+    attempts: 8,
+    maxAttempts: 8,
+    redact: true,
+  });
+  mock.method(notifications, "send", async () => {
+    throw new Error("Mailbox unavailable");
+  });
+
+  await server.runOutbox();
+
+  const update = updateOne.mock.calls[0].arguments[1];
+  assert.strictEqual(update.$set.status, "failed");
+  assert.deepStrictEqual(update.$unset, { html: 1, text: 1 });
+});
+
+test("a sent message records the provider's message ID", async () => {
+  const updateOne = outboxWith({ ...message, attempts: 1, maxAttempts: 8 });
+  const send = mock.method(notifications, "send", async () => ({
+    provider: "smtp",
+    id: "<abc@mail>",
+  }));
+
+  await server.runOutbox();
+
+  assert.strictEqual(send.mock.calls[0].arguments[1], "priya@example.com");
+  const { $set } = updateOne.mock.calls[0].arguments[1];
+  assert.strictEqual($set.status, "sent");
+  assert.strictEqual($set.providerMessageId, "<abc@mail>");
+});
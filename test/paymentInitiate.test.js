@@ -0,0 +1,93 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { models, provider, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+function openCycle() {
+  mock.method(models.Cycle, "findOne", () =>
+    query({ code: "202501", fee: 99, status: "open" }),
+  );
+}
+
+function storedApplication(fields = {}) {
+  const application = {
+    _id: "a1",
+    applicationId: "NF20250100001",
+    cycleCode: "202501",
+    name: "Priya Patil",
+    email: "priya@example.com",
+    phone: "9876543210",
+    merchantOrderId: "MO_NF20250100001_1_3F9A2C7E1B4D6A80",
+    paymentStatus: "pending",
+    emailVerifiedAt: new Date(),
+    ...fields,
+  };
+  mock.method(models.Application, "findOne", async () =>
+    application.applicationId ? application : null,
+  );
+  return application;
+}
+
+function initiate(body) {
+  return request("POST", "/api/payment/initiate", {
+    body: { applicationId: "NF20250100001", ...body },
+  });
+}
+
+test("the order is built from the stored application and the cycle's fee", async () => {
+  openCycle();
+  storedApplication();
+  mock.method(models.Payment, "findOne", async () => null);
+  mock.method(models.Payment, "exists", async () => null);
+  mock.method(models.Payment.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(models.AuditLog, "insertMany", async () => []);
+  const createOrder = mock.method(provider, "createOrder", async () => ({
+    orderId: "OMO1",
+    redirectUrl: "https://pay.example.com/OMO1",
+    state: "PENDING",
+  }));
+
+  const res = await initiate({ name: "Someone Else", email: "x@example.com" });
+
+  assert.strictEqual(res.status, 200);
+  const [order] = createOrder.mock.calls[0].arguments;
+  assert.strictEqual(order.amount, 9900);
+  assert.strictEqual(
+    order.merchantOrderId,
+    "MO_NF20250100001_1_3F9A2C7E1B4D6A80",
+  );
+  assert.deepStrictEqual(
+    [order.metaInfo.udf2, order.metaInfo.udf3, order.metaInfo.udf4],
+    ["Priya Patil", "priya@example.com", "9876543210"],
+  );
+});
+
+// Status of an initiate request that must not reach the gateway
+async function refused(fields, body) {
+  mock.restoreAll();
+  openCycle();
+  storedApplication(fields);
+  const createOrder = mock.method(provider, "createOrder");
+
+  const res = await initiate(body);
+
+  assert.strictEqual(createOrder.mock.callCount(), 0);
+  return res;
+}
+
+test("payments are refused for anything but a verified, unpaid application of this cycle", async () => {
+  assert.strictEqual((await refused({}, { amount: 1 })).status, 400);
+  assert.strictEqual((await refused({ applicationId: undefined })).status, 404);
+  assert.strictEqual(
+    (await refused({ paymentStatus: "completed" })).status,
+    409,
+  );
+  assert.strictEqual((await refused({ cycleCode: "202412" })).status, 403);
+
+  const unverified = await refused({ emailVerifiedAt: undefined });
+  assert.strictEqual(unverified.status, 403);
+  assert.strictEqual(unverified.body.code, "EMAIL_NOT_VERIFIED");
+});
@@ -0,0 +1,42 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { models, provider, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+test("the public status check returns the order state without contact details", async () => {
+  const payment = {
+    _id: "p1",
+    merchantOrderId: "MO_NF20250100001_1_3F9A2C7E1B4D6A80",
+    applicationId: "NF20250100001",
+    status: "pending",
+    createdAt: new Date(),
+  };
+  mock.method(models.Payment, "findOne", async () => payment);
+  mock.method(models.Payment, "findOneAndUpdate", async () => payment);
+  mock.method(models.Payment, "findById", async () => payment);
+  mock.method(models.Application, "findOne", () => null);
+  mock.method(models.Application, "findOneAndUpdate", async () => null);
+  mock.method(models.AuditLog, "insertMany", async () => []);
+  mock.method(provider, "getOrderStatus", async () => ({
+    orderId: "OMO123",
+    state: "PENDING",
+    amount: 9900,
+    metaInfo: {
+      udf1: "NF20250100001",
+      udf2: "Priya Patil",
+      udf3: "priya@example.com",
+      udf4: "9876543210",
+    },
+  }));
+
+  const res = await request(
+    "GET",
+    `/api/payment/status/${payment.merchantOrderId}`,
+  );
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data, { state: "PENDING", amount: 9900 });
+  assert.strictEqual(res.body.localData.applicationId, "NF20250100001");
+  assert.ok(!JSON.stringify(res.body).includes("priya@example.com"));
+});
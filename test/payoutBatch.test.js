@@ -0,0 +1,51 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+function batchPayouts() {
+  mock.method(models.StaffSession, "findOne", () =>
+    query({
+      staff: { active: true, role: "finance", email: "f@example.com" },
+    }),
+  );
+  mock.method(models.Counter, "findOneAndUpdate", async () => ({ seq: 7 }));
+  return request("POST", "/api/admin/payouts/202501/batches", {
+    body: {},
+    headers: { Authorization: "Bearer token" },
+  });
+}
+
+test("a batch is made from the payouts its update moved", async () => {
+  mock.method(models.Payout, "exists", async () => ({ _id: "p1" }));
+  const updateMany = mock.method(models.Payout, "updateMany", async () => ({
+    modifiedCount: 2,
+  }));
+  mock.method(models.Payout, "aggregate", async () => [
+    { _id: null, count: 2, total: 2000000 },
+  ]);
+  const create = mock.method(models.PayoutBatch, "create", async (doc) => doc);
+
+  const res = await batchPayouts();
+
+  assert.strictEqual(res.status, 201);
+  const batchId = updateMany.mock.calls[0].arguments[1].$set.batchId;
+  assert.strictEqual(batchId, "PB202501007");
+  assert.strictEqual(create.mock.calls[0].arguments[0].batchId, batchId);
+  assert.strictEqual(res.body.data.count, 2);
+  assert.strictEqual(res.body.data.totalAmount, 2000000);
+});
+
+test("no batch is created when another batch took the payouts first", async () => {
+  mock.method(models.Payout, "exists", async () => ({ _id: "p1" }));
+  mock.method(models.Payout, "updateMany", async () => ({ modifiedCount: 0 }));
+  const aggregate = mock.method(models.Payout, "aggregate", async () => []);
+  const create = mock.method(models.PayoutBatch, "create", async (doc) => doc);
+
+  const res = await batchPayouts();
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(aggregate.mock.callCount(), 0);
+  assert.strictEqual(create.mock.callCount(), 0);
+});
@@ -0,0 +1,87 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+
+process.env.DATA_ENCRYPTION_KEY = "ab".repeat(32);
+const { server, models, query } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+const bank = {
+  method: "bank",
+  accountHolder: " Priya Patil ",
+  accountNumber: "1234 5678 9012",
+  ifsc: "sbin0001234",
+};
+
+test("bank details are stored encrypted with only a mask in the clear", async () => {
+  const update = mock.method(
+    models.Payout,
+    "findOneAndUpdate",
+    async (f, u) => ({
+      ...u,
+    }),
+  );
+
+  const { errors, payout } = await server.savePayoutDetails(
+    { _id: "po1", status: "pending" },
+    bank,
+    "f@example.com",
+  );
+
+  assert.deepStrictEqual(errors, []);
+  const [filter, stored] = update.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.status, { $in: ["pending", "failed"] });
+  assert.strictEqual(stored.payoutDetailsMask, "A/c ••••9012 • SBIN0001234");
+  assert.ok(!stored.payoutDetails.includes("123456789012"));
+  assert.deepStrictEqual(server.readPayoutDetails(payout), {
+    accountHolder: "Priya Patil",
+    accountNumber: "123456789012",
+    ifsc: "SBIN0001234",
+  });
+});
+
+test("invalid details are refused with every problem listed", async () => {
+  const update = mock.method(models.Payout, "findOneAndUpdate");
+  const payout = { _id: "po1", status: "pending" };
+
+  const bad = await server.savePayoutDetails(
+    payout,
+    { method: "bank", accountNumber: "12", ifsc: "SBIN1234" },
+    "f@example.com",
+  );
+  assert.deepStrictEqual(bad.errors, [
+    "Account holder name is required",
+    "Account number must be 9-18 digits",
+    "Invalid IFSC code",
+  ]);
+  assert.deepStrictEqual(
+    (await server.savePayoutDetails(payout, { method: "upi", upiId: "x" }))
+      .errors,
+    ["Invalid UPI ID"],
+  );
+  assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test("details can't change once a batch has taken the payout", async () => {
+  mock.method(models.Payout, "findOneAndUpdate", async () => null);
+  mock.method(models.Payout, "findById", () => query({ status: "processing" }));
+
+  const { errors } = await server.savePayoutDetails(
+    { _id: "po1", status: "pending" },
+    bank,
+    "f@example.com",
+  );
+
+  assert.deepStrictEqual(errors, [
+    "Payout details can't be changed while the payout is processing",
+  ]);
+});
+
+test("details saved under another key are flagged, not thrown", () => {
+  const details = server.readPayoutDetails({
+    applicationId: "NF20250100001",
+    payoutDetails: "v1:AAAA:AAAA:AAAA",
+  });
+
+  assert.strictEqual(details.accountHolder, "UNREADABLE - re-enter details");
+});
@@ -0,0 +1,75 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+const application = {
+  _id: "a1",
+  applicationId: "NF20250100001",
+  cycleCode: "202501",
+  name: "Priya Patil",
+  email: "priya@example.com",
+  phone: "9876543210",
+};
+
+function storedPayment(fields = {}) {
+  const payment = {
+    application: "a1",
+    applicationId: "NF20250100001",
+    merchantOrderId: "MO_NF20250100001_1_3F9A2C7E1B4D6A80",
+    phonePeOrderId: "OMO1",
+    amount: 9900,
+    status: "completed",
+    receiptCode: "RC7K2M9Q4X",
+    paidAt: new Date("2025-01-10T06:00:00Z"),
+    ...fields,
+  };
+  mock.method(models.Payment, "findOne", () => query(payment));
+  mock.method(models.Application, "findById", () => query(application));
+  return payment;
+}
+
+test("a completed payment's receipt downloads as a PDF", async () => {
+  storedPayment();
+
+  const res = await request("GET", "/api/receipts/RC7K2M9Q4X/pdf");
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get("content-type"), "application/pdf");
+  assert.match(res.headers.get("content-disposition"), /NF20250100001/);
+  assert.strictEqual(res.body.subarray(0, 5).toString(), "%PDF-");
+});
+
+test("no receipt for unpaid, refunded or unknown payments", async () => {
+  storedPayment({ status: "pending" });
+  assert.strictEqual(
+    (await request("GET", "/api/receipts/RC7K2M9Q4X/pdf")).status,
+    400,
+  );
+
+  mock.restoreAll();
+  storedPayment({ refundStatus: "refunded" });
+  const refunded = await request("GET", "/api/receipts/RC7K2M9Q4X/pdf");
+  assert.strictEqual(refunded.status, 400);
+  assert.strictEqual(refunded.body.message, "This payment was refunded");
+
+  mock.restoreAll();
+  mock.method(models.Payment, "findOne", () => query(null));
+  assert.strictEqual(
+    (await request("GET", "/api/receipts/NOSUCHCODE/pdf")).status,
+    404,
+  );
+});
+
+test("the QR check confirms the receipt without contact details", async () => {
+  storedPayment({ refundStatus: "refunded" });
+
+  const res = await request("GET", "/api/receipts/verify/RC7K2M9Q4X");
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.name, "Priya Patil");
+  assert.strictEqual(res.body.data.refunded, true);
+  assert.ok(!JSON.stringify(res.body).includes("priya@example.com"));
+  assert.ok(!JSON.stringify(res.body).includes("9876543210"));
+});
@@ -0,0 +1,70 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { server, models, provider, query } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+function stalePayment(merchantOrderId, minutesAgo) {
+  return {
+    _id: merchantOrderId,
+    merchantOrderId,
+    applicationId: "NF20250100001",
+    status: "pending",
+    createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+  };
+}
+
+function gatewayError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.response = { status, data: {} };
+  return error;
+}
+
+test("stale orders past expiry are expired and gateway errors are counted", async () => {
+  const find = mock.method(models.Payment, "find", () =>
+    query([
+      stalePayment("MO_UNKNOWN", 60),
+      stalePayment("MO_ABANDONED", 45),
+      stalePayment("MO_GATEWAY_DOWN", 15),
+    ]),
+  );
+  mock.method(provider, "getOrderStatus", async (merchantOrderId) => {
+    if (merchantOrderId === "MO_UNKNOWN") throw gatewayError(404);
+    if (merchantOrderId === "MO_GATEWAY_DOWN") throw gatewayError(503);
+    return { state: "PENDING" };
+  });
+  const updates = mock.method(
+    models.Payment,
+    "findOneAndUpdate",
+    async (filter) => ({ merchantOrderId: filter.merchantOrderId }),
+  );
+  mock.method(models.Payment, "findById", async (id) => ({
+    merchantOrderId: id,
+    status: "expired",
+  }));
+  mock.method(models.AuditLog, "insertMany", async () => []);
+  mock.method(models.ReconciliationReport.prototype, "save", async function () {
+    return this;
+  });
+
+  const report = await server.runPaymentReconciliation();
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0].status, {
+    $in: ["initiated", "pending"],
+  });
+  assert.deepStrictEqual(
+    updates.mock.calls.map((c) => [
+      c.arguments[0].merchantOrderId,
+      c.arguments[1].status,
+    ]),
+    [
+      ["MO_UNKNOWN", "expired"],
+      ["MO_ABANDONED", "expired"],
+    ],
+  );
+  assert.deepStrictEqual(
+    [report.checked, report.expired, report.errored],
+    [3, 2, 1],
+  );
+  assert.strictEqual(report.results[2].error, "HTTP 503");
+});
@@ -0,0 +1,92 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { models, provider, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+const merchantOrderId = "MO_NF20250100001_1_3F9A2C7E1B4D6A80";
+
+function completedPayment() {
+  const payment = {
+    _id: "p1",
+    merchantOrderId,
+    applicationId: "NF20250100001",
+    status: "completed",
+    amount: 9900,
+  };
+  mock.method(models.StaffSession, "findOne", () =>
+    query({
+      staff: { active: true, role: "finance", email: "f@example.com" },
+    }),
+  );
+  mock.method(models.Payment, "findOne", async () => payment);
+  mock.method(models.Payment, "findById", async () => payment);
+  mock.method(models.Refund, "find", () => query([]));
+  mock.method(models.AuditLog, "insertMany", async () => []);
+  return payment;
+}
+
+function refund(amount) {
+  return request("POST", `/api/admin/payments/${merchantOrderId}/refund`, {
+    body: { reason: "Duplicate payment", amount },
+    headers: { Authorization: "Bearer token" },
+  });
+}
+
+test("a refund goes ahead only once its amount is reserved on the payment", async () => {
+  completedPayment();
+  const updateOne = mock.method(models.Payment, "updateOne", async () => ({}));
+  const reserve = mock.method(
+    models.Payment,
+    "findOneAndUpdate",
+    async () => null,
+  );
+  const save = mock.method(models.Refund.prototype, "save", async function () {
+    return this;
+  });
+  const createRefund = mock.method(provider, "createRefund", async () => ({}));
+
+  const res = await refund(50);
+
+  assert.strictEqual(res.status, 409);
+  const [filter, update] = reserve.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.refundReservedAmount, { $lte: 9900 - 5000 });
+  assert.deepStrictEqual(update, { $inc: { refundReservedAmount: 5000 } });
+  // Payments from before reservations are seeded with their open refunds
+  assert.deepStrictEqual(updateOne.mock.calls[0].arguments[1], {
+    refundReservedAmount: 0,
+  });
+  assert.strictEqual(save.mock.callCount(), 0);
+  assert.strictEqual(createRefund.mock.callCount(), 0);
+});
+
+test("a refund the gateway rejects gives its reservation back", async () => {
+  const payment = completedPayment();
+  const updateOne = mock.method(models.Payment, "updateOne", async () => ({}));
+  mock.method(models.Payment, "findOneAndUpdate", async () => payment);
+  mock.method(models.Refund.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(provider, "createRefund", async () => {
+    throw new Error("Gateway down");
+  });
+
+  const res = await refund(50);
+
+  assert.strictEqual(res.status, 500);
+  assert.deepStrictEqual(updateOne.mock.calls.at(-1).arguments, [
+    { merchantOrderId },
+    { $inc: { refundReservedAmount: -5000 } },
+  ]);
+});
+
+test("more than the refundable amount is refused before reserving", async () => {
+  completedPayment();
+  const reserve = mock.method(models.Payment, "findOneAndUpdate");
+
+  const res = await refund(100);
+
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.message, /Refundable: ₹99/);
+  assert.strictEqual(reserve.mock.callCount(), 0);
+});
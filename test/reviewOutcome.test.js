@@ -0,0 +1,66 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const scoring = require("../scoring");
+const { server, models, query } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+const application = { _id: "a1", applicationId: "NF20250100001" };
+
+function review(reviewer, ratings) {
+  return { reviewer, role: "reviewer", status: "submitted", ratings };
+}
+
+test("reviewer ratings are averaged and their spread is the largest gap", () => {
+  const ratings = [
+    { achievements: 6, sop: 8, recommendation: 5 },
+    { achievements: 7, sop: 4, recommendation: 5 },
+  ];
+
+  assert.deepStrictEqual(scoring.averageRatings(ratings), {
+    achievements: 6.5,
+    sop: 6,
+    recommendation: 5,
+  });
+  assert.strictEqual(scoring.ratingSpread(ratings), 4);
+  assert.strictEqual(scoring.ratingSpread([ratings[0]]), 0);
+});
+
+test("agreeing reviewers complete the review with their average", async () => {
+  mock.method(models.Review, "find", () =>
+    query([
+      review("r1@example.com", { achievements: 6, sop: 7, recommendation: 5 }),
+      review("r2@example.com", { achievements: 8, sop: 7, recommendation: 6 }),
+    ]),
+  );
+  const update = mock.method(
+    models.Application,
+    "findOneAndUpdate",
+    async () => application,
+  );
+  mock.method(models.Application, "findById", async () => ({
+    ...application,
+    paymentStatus: "pending",
+  }));
+  mock.method(models.AuditLog, "insertMany", async () => []);
+
+  const outcome = await server.refreshReviewOutcome(application, {});
+
+  assert.strictEqual(outcome.reviewState, "complete");
+  const { reviewerRatings } = update.mock.calls[0].arguments[1];
+  assert.strictEqual(reviewerRatings.achievements, 7);
+  assert.strictEqual(reviewerRatings.recommendation, 5.5);
+  assert.strictEqual(reviewerRatings.ratedBy, "r1@example.com, r2@example.com");
+});
+
+test("an application deleted mid-review is reported as gone, not thrown on", async () => {
+  mock.method(models.Review, "find", () =>
+    query([review("r1@example.com", { achievements: 6 })]),
+  );
+  mock.method(models.Application, "findOneAndUpdate", async () => null);
+
+  const outcome = await server.refreshReviewOutcome(application, {});
+
+  assert.strictEqual(outcome.application, null);
+  assert.strictEqual(outcome.reviewState, "complete");
+});
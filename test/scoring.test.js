@@ -0,0 +1,89 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const scoring = require("../scoring");
+
+const [below1L, upTo3L, upTo5L, above5L] = scoring.INCOME_BANDS.map(
+  (b) => b.band,
+);
+
+test("income points fall from a band's high score to its low score", () => {
+  assert.deepStrictEqual(scoring.scoreIncome(50000, below1L), {
+    points: 92.5,
+    band: below1L,
+    mismatch: false,
+  });
+  assert.strictEqual(scoring.scoreIncome(0, below1L).points, 100);
+  assert.strictEqual(scoring.scoreIncome(100000, below1L).points, 85);
+  assert.strictEqual(scoring.scoreIncome(200000, upTo3L).points, 72.5);
+  // The top band has no ceiling; it bottoms out at its low score
+  assert.strictEqual(scoring.scoreIncome(2500000, above5L).points, 0);
+});
+
+test("without an amount the declared band's lowest score is used", () => {
+  assert.deepStrictEqual(scoring.scoreIncome("", upTo5L), {
+    points: 35,
+    band: upTo5L,
+    mismatch: false,
+  });
+  assert.deepStrictEqual(scoring.scoreIncome(undefined, undefined), {
+    points: 0,
+    band: null,
+    mismatch: false,
+  });
+});
+
+test("an amount outside the declared band scores no more than the truth", () => {
+  // Declaring a lower band than the amount earns the amount's own score
+  assert.deepStrictEqual(scoring.scoreIncome(400000, below1L), {
+    points: 47.5,
+    band: below1L,
+    mismatch: true,
+  });
+  // Declaring a higher band earns that band's lowest score
+  assert.deepStrictEqual(scoring.scoreIncome(50000, above5L), {
+    points: 0,
+    band: above5L,
+    mismatch: true,
+  });
+});
+
+test("the total is the weighted sum of the components", () => {
+  const score = scoring.computeScore(
+    { income_amount: 50000, income_band: below1L },
+    { achievements: 8, sop: 6, recommendation: 10 },
+  );
+
+  assert.strictEqual(score.components.income.weighted, 37);
+  assert.strictEqual(score.components.achievements.weighted, 20);
+  assert.strictEqual(score.components.sop.weighted, 15);
+  assert.strictEqual(score.components.recommendation.weighted, 10);
+  assert.strictEqual(score.total, 82);
+  assert.strictEqual(score.complete, true);
+});
+
+test("missing ratings count as 0 and out-of-range ones are clamped", () => {
+  const score = scoring.computeScore(
+    { income_amount: 50000, income_band: below1L },
+    { achievements: 12, sop: -3 },
+  );
+
+  assert.strictEqual(score.components.achievements.rating, 10);
+  assert.strictEqual(score.components.sop.rating, 0);
+  assert.strictEqual(score.components.recommendation.rating, null);
+  assert.strictEqual(score.total, 62);
+  assert.strictEqual(score.complete, false);
+});
+
+test("weights must be non-negative and add up to 100", () => {
+  assert.deepStrictEqual(scoring.validateWeights(scoring.DEFAULT_WEIGHTS), []);
+  assert.deepStrictEqual(
+    scoring.validateWeights({ ...scoring.DEFAULT_WEIGHTS, sop: 30 }),
+    ["Weights must add up to 100 (got 105)"],
+  );
+  assert.match(
+    scoring
+      .validateWeights({ ...scoring.DEFAULT_WEIGHTS, income: -5, sop: 70 })
+      .join(),
+    /"income" must be a non-negative number/,
+  );
+});
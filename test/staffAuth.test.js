@@ -0,0 +1,59 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { server, models, query, request } = require("./helpers");
+
+afterEach(() => mock.restoreAll());
+
+function signIn(staff) {
+  const findOne = mock.method(models.StaffSession, "findOne", () =>
+    query(
+      staff && { staff: { active: true, email: "s@example.com", ...staff } },
+    ),
+  );
+  mock.method(models.Staff, "find", () => query([]));
+  return findOne;
+}
+
+function listStaff(headers = { Authorization: "Bearer token" }) {
+  return request("GET", "/api/admin/staff", { headers });
+}
+
+test("staff routes need a live session token", async () => {
+  const findOne = signIn(null);
+
+  assert.strictEqual((await listStaff({})).status, 401);
+  assert.strictEqual(findOne.mock.callCount(), 0);
+  assert.strictEqual((await listStaff()).status, 401);
+  // Only the token's hash is looked up
+  const { tokenHash } = findOne.mock.calls[0].arguments[0];
+  assert.match(tokenHash, /^[0-9a-f]{64}$/);
+});
+
+test("deactivated staff are signed out", async () => {
+  signIn({ role: "admin", active: false });
+
+  assert.strictEqual((await listStaff()).status, 401);
+});
+
+test("roles outside the route's list are refused; admins always pass", async () => {
+  signIn({ role: "reviewer" });
+  assert.strictEqual((await listStaff()).status, 403);
+
+  mock.restoreAll();
+  signIn({ role: "admin" });
+  assert.strictEqual((await listStaff()).status, 200);
+});
+
+test("passwords need 10 characters and are stored salted", () => {
+  assert.strictEqual(server.validatePassword("short"), false);
+  assert.strictEqual(server.validatePassword("long enough"), true);
+
+  const [scheme, salt, hash] = server.hashPassword("long enough").split("$");
+  assert.strictEqual(scheme, "scrypt");
+  assert.strictEqual(salt.length, 32);
+  assert.notStrictEqual(
+    server.hashPassword("long enough"),
+    server.hashPassword("long enough"),
+  );
+  assert.strictEqual(hash.length, 128);
+});
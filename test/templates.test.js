@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const templates = require("../notifications/templates");
+
+const recipient = {
+  applicationId: "NF20250100001",
+  name: "Priya Patil",
+  email: "priya@example.com",
+  category: "ITI",
+};
+const data = { amount: 9900, orderId: "OMO1", code: "123456" };
+
+test("every template renders in every language without leftover placeholders", () => {
+  for (const [event, channels] of Object.entries(templates.listTemplates())) {
+    for (const [channel, locales] of Object.entries(channels)) {
+      for (const language of locales) {
+        const message = templates.render(
+          event,
+          channel,
+          { ...recipient, language },
+          data,
+        );
+        const label = `${language}/${event}.${channel}`;
+
+        assert.strictEqual(message.locale, language, label);
+        assert.doesNotMatch(message.text, /\{\{/, label);
+        if (channel === "email") {
+          assert.ok(message.subject, label);
+          assert.doesNotMatch(message.html, /\{\{/, label);
+          assert.doesNotMatch(message.text, /<\/?[a-z][^>]*>/i, label);
+        }
+      }
+    }
+  }
+});
+
+test("emails escape applicant input and carry a plain-text copy", () => {
+  const message = templates.render(
+    "application_confirmed",
+    "email",
+    { ...recipient, name: "Priya <b>Patil</b>" },
+    data,
+  );
+
+  assert.ok(message.html.includes("Priya &lt;b&gt;Patil&lt;/b&gt;"));
+  assert.ok(!message.html.includes("<b>Patil</b>"));
+  assert.ok(message.text.includes("Priya <b>Patil</b>"));
+  assert.ok(message.text.includes("₹99"));
+});
+
+test("the applicant's language is used, falling back to English", () => {
+  const marathi = templates.render(
+    "application_confirmed",
+    "email",
+    {
+      ...recipient,
+      language: "mr",
+    },
+    data,
+  );
+  const unknown = templates.render(
+    "application_confirmed",
+    "email",
+    {
+      ...recipient,
+      language: "fr",
+    },
+    data,
+  );
+
+  assert.strictEqual(marathi.locale, "mr");
+  assert.match(marathi.subject, /शिष्यवृत्ती/);
+  assert.strictEqual(unknown.locale, "en");
+  assert.strictEqual(
+    templates.render("no_such_event", "email", recipient),
+    null,
+  );
+});
+
+test("links keep their address in the plain-text version", () => {
+  assert.strictEqual(
+    templates.htmlToText(
+      '<p>Track it <a href="https://example.com/track">here</a></p><ul><li>One</li></ul>',
+    ),
+    "Track it here (https://example.com/track)\n\n• One",
+  );
+});
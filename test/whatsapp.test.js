@@ -0,0 +1,42 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+process.env.WHATSAPP_TEMPLATE_NAME = "application_update";
+const whatsapp = require("../notifications/whatsapp");
+
+const TEMPLATES = path.join(__dirname, "..", "notifications", "templates");
+
+test("template parameters are sent on one line for every WhatsApp template", async () => {
+  const post = mock.method(axios, "post", async () => ({
+    data: { messages: [{ id: "wamid.1" }] },
+  }));
+
+  const locales = fs
+    .readdirSync(TEMPLATES, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+
+  for (const locale of locales) {
+    for (const file of fs.readdirSync(path.join(TEMPLATES, locale))) {
+      if (!file.endsWith(".whatsapp.txt")) continue;
+      const text = fs.readFileSync(path.join(TEMPLATES, locale, file), "utf8");
+
+      await whatsapp.send("9876543210", { text });
+
+      const body = post.mock.calls.at(-1).arguments[1];
+      const [parameter] = body.template.components[0].parameters;
+      assert.doesNotMatch(parameter.text, /[\r\n\t]| {5}/, `${locale}/${file}`);
+    }
+  }
+  assert.ok(post.mock.callCount() > 0);
+});
+
+test("folding keeps every line of the message", () => {
+  assert.strictEqual(
+    whatsapp.templateText("🎓 *Org*\nPaid.\r\nUTR: *123*\n"),
+    "🎓 *Org* • Paid. • UTR: *123*",
+  );
+});